@@ -8,15 +8,75 @@
  * 1. Export current spec (preserves existing format, folders, statuses, x-apidog-* extensions)
  * 2. Merge changes into the spec
  * 3. Import back with OVERWRITE_EXISTING
+ *
+ * Imports go through importChanges, which re-exports first and checks that
+ * nobody changed the project since step 1 (see concurrency.js).
  */
 
+import { changedUnits, fingerprint, overlayPartialSpec, rebaseChanges } from './concurrency.js';
+
 const APIDOG_BASE_URL = 'https://api.apidog.com';
 const API_VERSION = '2024-03-28';
+const DEFAULT_CACHE_TTL_MS = 60_000;
+const DEFAULT_TIMEOUT_MS = 60_000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30_000;
+const MAX_RETRY_AFTER_MS = 60_000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_REBASE_ATTEMPTS = 3;
+
+export const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+const CATEGORY_HINTS = {
+  auth: 'Check the access token and that it can access this project.',
+  not_found: 'Check the project ID.',
+  rate_limited: 'Apidog is rate-limiting requests; wait a moment before retrying.',
+  server: 'Apidog had a server error; retry later.',
+  validation: 'Apidog rejected the request content; check the spec for invalid fields.',
+  timeout: 'Apidog did not answer in time; retry later, or raise APIDOG_TIMEOUT for large projects.',
+  network: 'Could not reach Apidog; check the network connection.',
+};
+
+/**
+ * Error from the Apidog API, tagged with a category so callers (and the model)
+ * know what to do about it: auth, not_found, rate_limited, server, validation,
+ * timeout or network.
+ */
+export class ApidogApiError extends Error {
+  constructor(message, { category, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApidogApiError';
+    this.category = category;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
 
 export class ApidogClient {
-  constructor(accessToken, projectId) {
+  /**
+   * conflictStrategy — what importChanges does when the project changed since the export:
+   *   'rebase' (default): replay our change onto the fresh export, unless it touches the same items
+   *   'abort': refuse on any change
+   *   'off': import without checking
+   * timeoutMs / maxRetries — per-request timeout, and retries for timeouts, 429 and 5xx
+   */
+  constructor(accessToken, projectId, {
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    snapshotStore = null,
+    conflictStrategy = 'rebase',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+  } = {}) {
     this.accessToken = accessToken;
     this.projectId = projectId;
+    this.cacheTtlMs = cacheTtlMs;
+    this.snapshotStore = snapshotStore;
+    this.conflictStrategy = conflictStrategy;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.specCache = new Map();
+    this.cacheGeneration = 0;
   }
 
   get headers() {
@@ -30,34 +90,64 @@ export class ApidogClient {
   /**
    * Export the full OpenAPI spec from Apidog.
    * Always includes x-apidog-* extensions to preserve format.
+   *
+   * scope narrows the export on Apidog's side to one of:
+   *   { endpointIds: [...] } | { folderIds: [...] } | { tags: [...] }
+   * (IDs are Apidog's numeric IDs). Omit it to export everything.
+   *
+   * Exports are cached per (oasVersion, includeExtensions, scope) for cacheTtlMs.
+   * Callers always get their own copy, so mutating the result is safe.
+   * Pass refresh: true to bypass the cache and force a fresh export. Every export
+   * a write is built on does, so the cache only ever serves read tools.
    */
-  async exportSpec({ oasVersion = '3.1', includeExtensions = true } = {}) {
+  async exportSpec({ oasVersion = '3.1', includeExtensions = true, refresh = false, scope } = {}) {
+    const exportScope = toExportScope(scope);
+    const cacheKey = `${oasVersion}:${includeExtensions}:${JSON.stringify(exportScope)}`;
+    const cached = this.specCache.get(cacheKey);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return structuredClone(cached.spec);
+    }
+
+    // An import landing while this export is in flight makes the result stale
+    const generation = this.cacheGeneration;
+
     const url = `${APIDOG_BASE_URL}/v1/projects/${this.projectId}/export-openapi?locale=en-US`;
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: this.headers,
-      body: JSON.stringify({
-        scope: { type: 'ALL' },
-        options: {
-          includeApidogExtensionProperties: includeExtensions,
-          addFoldersToTags: false,
-        },
-        oasVersion,
-        exportFormat: 'JSON',
-      }),
+    const spec = await this.request('export', url, {
+      scope: exportScope,
+      options: {
+        includeApidogExtensionProperties: includeExtensions,
+        addFoldersToTags: false,
+      },
+      oasVersion,
+      exportFormat: 'JSON',
     });
-
-    if (!res.ok) {
-      const errText = await res.text();
-      throw new Error(`Apidog export failed (${res.status}): ${errText}`);
+    if (this.cacheTtlMs > 0 && generation === this.cacheGeneration) {
+      this.specCache.set(cacheKey, { spec, fetchedAt: Date.now() });
     }
+    return structuredClone(spec);
+  }
 
-    return res.json();
+  /**
+   * Drop all cached exports. Called after every import.
+   */
+  invalidateCache() {
+    this.specCache.clear();
+    this.cacheGeneration++;
+  }
+
+  /**
+   * Save the pre-import spec to the snapshot store (if one is configured).
+   * Every write path calls this right before importSpec.
+   */
+  async snapshot(spec, { tool, summary }) {
+    if (!this.snapshotStore) return null;
+    return this.snapshotStore.save(spec, { tool, summary });
   }
 
   /**
    * Import an OpenAPI spec into Apidog.
    * Uses OVERWRITE_EXISTING — validated in POC to preserve untouched endpoints.
+   * Invalidates the export cache, even on failure (the import may have partially landed).
    */
   async importSpec(spec, options = {}) {
     const url = `${APIDOG_BASE_URL}/v1/projects/${this.projectId}/import-openapi?locale=en-US`;
@@ -71,10 +161,12 @@ export class ApidogClient {
       prependBasePath = false,
     } = options;
 
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: this.headers,
-      body: JSON.stringify({
+    // Re-sending an import only changes nothing when it overwrites what the first one created
+    const idempotent = endpointOverwriteBehavior === 'OVERWRITE_EXISTING' && schemaOverwriteBehavior === 'OVERWRITE_EXISTING';
+
+    this.invalidateCache();
+    try {
+      return await this.request('import', url, {
         input: typeof spec === 'string' ? spec : JSON.stringify(spec),
         options: {
           targetEndpointFolderId,
@@ -84,24 +176,139 @@ export class ApidogClient {
           updateFolderOfChangedEndpoint,
           prependBasePath,
         },
-      }),
-    });
+      }, { idempotent });
+    } finally {
+      this.invalidateCache();
+    }
+  }
+
+  /**
+   * POST a JSON body and parse the JSON response.
+   * Each attempt times out after timeoutMs. 429 responses are retried up to
+   * maxRetries times with exponential backoff and jitter, waiting at least as
+   * long as a Retry-After header asks (up to a minute). Timeouts, network errors
+   * and 5xx are retried the same way only for idempotent requests: the request
+   * may have been processed even though we got no answer, and sending it again
+   * must not change the outcome. A 2xx is never retried, even if its body cannot be read.
+   * Failures are thrown as ApidogApiError.
+   */
+  async request(action, url, body, { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      let retryAfterMs = 0;
+      let res;
+      try {
+        res = await fetch(url, {
+          method: 'POST',
+          headers: this.headers,
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+      } catch (cause) {
+        const timedOut = cause.name === 'TimeoutError' || cause.name === 'AbortError';
+        const category = timedOut ? 'timeout' : 'network';
+        const detail = timedOut ? `no response after ${this.timeoutMs / 1000}s` : cause.message;
+        error = new ApidogApiError(`Apidog ${action} failed [${category}]: ${detail}. ${CATEGORY_HINTS[category]}`, {
+          category,
+          retryable: idempotent,
+        });
+      }
 
-    if (!res.ok) {
-      const errText = await res.text();
-      throw new Error(`Apidog import failed (${res.status}): ${errText}`);
+      if (res?.ok) {
+        try {
+          return await res.json();
+        } catch (cause) {
+          throw new ApidogApiError(
+            `Apidog ${action} succeeded (${res.status}) but its response could not be read: ${cause.message}. ` +
+            'The request was processed; check the project before sending it again.',
+            { category: 'server', status: res.status, retryable: false }
+          );
+        }
+      }
+      if (res) {
+        error = await errorFromResponse(action, res);
+        if (!idempotent && res.status !== 429) error.retryable = false;
+        retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      }
+      if (!idempotent && ['timeout', 'network', 'server'].includes(error.category)) {
+        error.message += ` The ${action} may still have been applied; check the project before sending it again.`;
+      }
+
+      // A Retry-After longer than we are willing to block the agent for is reported instead
+      if (!error.retryable || attempt >= this.maxRetries || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        if (retryAfterMs > 0) error.message += ` Apidog asked to retry after ${Math.ceil(retryAfterMs / 1000)}s.`;
+        if (attempt > 0) error.message += ` (gave up after ${attempt + 1} attempts)`;
+        throw error;
+      }
+
+      const backoff = Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+      const jittered = backoff / 2 + Math.random() * (backoff / 2);
+      await sleep(Math.max(retryAfterMs, jittered));
     }
+  }
+
+  /**
+   * Import a spec that was built by changing an earlier export (baseSpec),
+   * making sure nobody changed the project in Apidog in the meantime.
+   *
+   * Re-exports and compares fingerprints. If the project changed:
+   * - items we also changed → abort with a conflict report
+   * - other items only → 'rebase' replays our change onto the fresh export
+   *   (and checks again); 'abort' refuses
+   * The spec that is actually overwritten is snapshotted right before the import.
+   * With partial, spec is sent as a partial import rather than the whole project:
+   * only the endpoints and components it changes count as our changes (see
+   * overlayPartialSpec), and a rebase leaves it as is (the import does not touch
+   * units it leaves out, so remote edits to those survive).
+   * Returns { importResult, snapshot, rebasedOver } where rebasedOver lists the
+   * remote changes that were kept.
+   */
+  async importChanges(baseSpec, spec, { tool, summary, importOptions, partial = false } = {}) {
+    let base = baseSpec;
+    let target = spec;
+    const rebasedOver = [];
+
+    for (let attempt = 1; this.conflictStrategy !== 'off'; attempt++) {
+      const fresh = await this.exportSpec({ refresh: true });
+      if (fingerprint(fresh) === fingerprint(base)) break;
 
-    return res.json();
+      const remote = changedUnits(base, fresh);
+      const local = new Set(changedUnits(base, partial ? overlayPartialSpec(base, spec) : target));
+      const overlapping = remote.filter(label => local.has(label));
+      if (overlapping.length > 0 || this.conflictStrategy === 'abort') {
+        throw new Error(
+          `Conflict: the Apidog project changed since it was exported (${remote.join(', ')}). ` +
+          (overlapping.length > 0 ? `These were also changed by this write: ${overlapping.join(', ')}. ` : '') +
+          'Nothing was imported. Re-read the affected items with refresh: true, re-apply the change and retry.'
+        );
+      }
+      if (attempt > MAX_REBASE_ATTEMPTS) {
+        throw new Error(`Conflict: the Apidog project kept changing during ${MAX_REBASE_ATTEMPTS} attempts to import. Nothing was imported. Try again later.`);
+      }
+
+      if (!partial) target = rebaseChanges(base, target, fresh);
+      rebasedOver.push(...remote.filter(label => !rebasedOver.includes(label)));
+      base = fresh;
+    }
+
+    const snapshot = await this.snapshot(base, { tool, summary });
+    const importResult = await this.importSpec(target, importOptions);
+    return { importResult, snapshot, rebasedOver };
   }
 
   /**
    * Export → Merge → Import cycle.
    * This is the core write operation validated in the POC.
+   * The pre-merge export is saved as a snapshot under the given tool name.
+   * With dryRun, stops after the merge: nothing is snapshotted or imported.
+   * The import goes through importChanges, so concurrent edits are detected.
+   * beforeImport(baseSpec, mergedSpec) runs right before the snapshot; throw from it to abort.
+   * Returns the pre-merge spec as baseSpec so callers can diff the result.
    */
-  async mergeAndImport(partialSpec) {
+  async mergeAndImport(partialSpec, { tool = 'merge_and_import', summary = '', dryRun = false, beforeImport } = {}) {
     // 1. Export current spec with extensions
-    const currentSpec = await this.exportSpec({ includeExtensions: true });
+    const currentSpec = await this.exportSpec({ includeExtensions: true, refresh: true });
+    const baseSpec = structuredClone(currentSpec);
 
     // 2. Merge paths
     if (partialSpec.paths) {
@@ -117,11 +324,12 @@ export class ApidogClient {
       }
     }
 
-    // 3. Merge schemas
-    if (partialSpec.components?.schemas) {
+    // 3. Merge components (schemas, parameters, responses, ...)
+    for (const [type, entries] of Object.entries(partialSpec.components || {})) {
+      if (!entries || Object.keys(entries).length === 0) continue;
       if (!currentSpec.components) currentSpec.components = {};
-      if (!currentSpec.components.schemas) currentSpec.components.schemas = {};
-      Object.assign(currentSpec.components.schemas, partialSpec.components.schemas);
+      if (!currentSpec.components[type]) currentSpec.components[type] = {};
+      Object.assign(currentSpec.components[type], entries);
     }
 
     // 4. Merge tags
@@ -135,9 +343,15 @@ export class ApidogClient {
       }
     }
 
-    // 5. Import
-    const result = await this.importSpec(currentSpec);
-    return { mergedSpec: currentSpec, importResult: result };
+    if (dryRun) {
+      return { baseSpec, mergedSpec: currentSpec, importResult: null, snapshot: null };
+    }
+
+    if (beforeImport) await beforeImport(baseSpec, currentSpec);
+
+    // 5. Snapshot + Import
+    const { importResult, snapshot, rebasedOver } = await this.importChanges(baseSpec, currentSpec, { tool, summary });
+    return { baseSpec, mergedSpec: currentSpec, importResult, snapshot, rebasedOver };
   }
 
   /**
@@ -147,7 +361,7 @@ export class ApidogClient {
     const endpoints = [];
     for (const [path, methods] of Object.entries(spec.paths || {})) {
       for (const [method, op] of Object.entries(methods)) {
-        if (['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method)) {
+        if (HTTP_METHODS.includes(method)) {
           endpoints.push({
             method: method.toUpperCase(),
             path,
@@ -166,3 +380,57 @@ export class ApidogClient {
     return endpoints;
   }
 }
+
+function toExportScope(scope) {
+  const given = Object.entries(scope || {}).filter(([, value]) => value?.length > 0);
+  if (given.length === 0) return { type: 'ALL' };
+  if (given.length > 1) {
+    throw new Error(`Only one export scope can be used at a time, got: ${given.map(([key]) => key).join(', ')}`);
+  }
+
+  const [[key, value]] = given;
+  switch (key) {
+    case 'endpointIds': return { type: 'SELECTED_ENDPOINTS', selectedEndpointIds: value };
+    case 'folderIds': return { type: 'SELECTED_FOLDERS', selectedFolderIds: value };
+    case 'tags': return { type: 'SELECTED_TAGS', selectedTags: value };
+    default: throw new Error(`Unknown export scope "${key}"`);
+  }
+}
+
+async function errorFromResponse(action, res) {
+  const category = res.status === 401 || res.status === 403 ? 'auth'
+    : res.status === 404 ? 'not_found'
+    : res.status === 429 ? 'rate_limited'
+    : res.status >= 500 || res.status === 408 ? 'server'
+    : 'validation';
+
+  // Apidog errors are JSON with a message field; fall back to (truncated) raw text
+  let detail = await res.text().catch(() => '');
+  try {
+    const parsed = JSON.parse(detail);
+    detail = parsed.errorMessage || parsed.message || parsed.error?.message || detail;
+  } catch {
+    // not JSON
+  }
+  if (detail.length > 500) detail = `${detail.slice(0, 500)}…`;
+
+  return new ApidogApiError(
+    `Apidog ${action} failed [${category}] (${res.status})${detail ? `: ${detail}` : ''}. ${CATEGORY_HINTS[category]}`,
+    { category, status: res.status, retryable: RETRYABLE_STATUSES.has(res.status) }
+  );
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date. Returns milliseconds.
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,229 @@
+/**
+ * Changelog
+ *
+ * Turns the differences between two spec states into release notes:
+ * endpoints added, removed, deprecated and changed (with the classified
+ * parameter / field changes), grouped by folder or tag, plus schema changes.
+ *
+ * buildChangelog returns a JSON-friendly structure (for CI);
+ * renderChangelogMarkdown turns it into Markdown (for release notes).
+ */
+
+import { ApidogClient } from './apidog-client.js';
+import { DEPRECATION_EXTENSION, DEPRECATION_HEADERS, stripDeprecationNotice } from './deprecation.js';
+import { classifyChanges, diffSpecs } from './diff.js';
+
+export const CHANGELOG_GROUPINGS = ['folder', 'tag'];
+
+const UNGROUPED = { folder: 'No folder', tag: 'Untagged' };
+
+// Changes that are the deprecation itself; listed under "Deprecated" instead of "Changed"
+const DEPRECATION_PATHS = ['deprecated', 'x-apidog-status', DEPRECATION_EXTENSION];
+
+/**
+ * Build a changelog between two specs.
+ * Endpoints are grouped by x-apidog-folder or by their first tag; removed
+ * endpoints are grouped by where they were in fromSpec.
+ */
+export function buildChangelog(fromSpec, toSpec, { groupBy = 'folder' } = {}) {
+  if (!CHANGELOG_GROUPINGS.includes(groupBy)) {
+    throw new Error(`groupBy must be one of: ${CHANGELOG_GROUPINGS.join(', ')}`);
+  }
+
+  const fromEndpoints = indexEndpoints(fromSpec);
+  const toEndpoints = indexEndpoints(toSpec);
+  const { endpoints, schemas } = diffSpecs(fromSpec, toSpec);
+  const groups = new Map();
+  const groupFor = ep => {
+    const name = (groupBy === 'folder' ? ep.folder : ep.tags[0]) || UNGROUPED[groupBy];
+    if (!groups.has(name)) groups.set(name, { name, added: [], removed: [], deprecated: [], changed: [] });
+    return groups.get(name);
+  };
+
+  for (const key of endpoints.added) {
+    const ep = toEndpoints.get(key);
+    groupFor(ep).added.push({ endpoint: key, summary: ep.summary, ...(isDeprecated(ep) && { deprecated: true }) });
+  }
+  for (const key of endpoints.removed) {
+    const ep = fromEndpoints.get(key);
+    groupFor(ep).removed.push({ endpoint: key, summary: ep.summary, breaking: true });
+  }
+  for (const { endpoint: key, changes } of endpoints.changed) {
+    const before = fromEndpoints.get(key);
+    const after = toEndpoints.get(key);
+    const group = groupFor(after);
+    const newlyDeprecated = isDeprecated(after) && !isDeprecated(before);
+
+    if (newlyDeprecated) {
+      const { sunset = null, replacement = null, reason = null } = after.operation[DEPRECATION_EXTENSION] || {};
+      group.deprecated.push({ endpoint: key, summary: after.summary, sunset, replacement, reason });
+    }
+
+    const remaining = newlyDeprecated ? changes.filter(c => !isDeprecationChange(c)) : changes;
+    const classified = classifyChanges(remaining);
+    if (classified.length === 0) continue;
+    group.changed.push({
+      endpoint: key,
+      summary: after.summary,
+      ...(before.folder !== after.folder && { movedFrom: before.folder }),
+      breaking: classified.some(c => c.severity === 'breaking'),
+      changes: classified,
+    });
+  }
+
+  const schemaChanges = {
+    added: schemas.added,
+    removed: schemas.removed,
+    changed: schemas.changed.map(({ name, changes }) => {
+      const classified = classifyChanges(changes, { context: 'schema' });
+      return { name, breaking: classified.some(c => c.severity === 'breaking'), changes: classified };
+    }),
+  };
+
+  const sortedGroups = [...groups.values()]
+    .filter(g => g.added.length + g.removed.length + g.deprecated.length + g.changed.length > 0)
+    .sort((a, b) => {
+      const aUngrouped = a.name === UNGROUPED[groupBy];
+      const bUngrouped = b.name === UNGROUPED[groupBy];
+      if (aUngrouped !== bUngrouped) return aUngrouped - bUngrouped;
+      return a.name.localeCompare(b.name);
+    });
+  for (const group of sortedGroups) {
+    for (const list of [group.added, group.removed, group.deprecated, group.changed]) {
+      list.sort((a, b) => a.endpoint.localeCompare(b.endpoint));
+    }
+  }
+
+  const countAll = key => sortedGroups.reduce((sum, g) => sum + g[key].length, 0);
+  const breakingChanges =
+    countAll('removed') +
+    sortedGroups.reduce((sum, g) => sum + g.changed.reduce((s, c) => s + c.changes.filter(x => x.severity === 'breaking').length, 0), 0) +
+    schemaChanges.removed.length +
+    schemaChanges.changed.reduce((sum, s) => sum + s.changes.filter(c => c.severity === 'breaking').length, 0);
+
+  return {
+    groupBy,
+    summary: {
+      endpointsAdded: countAll('added'),
+      endpointsRemoved: countAll('removed'),
+      endpointsDeprecated: countAll('deprecated'),
+      endpointsChanged: countAll('changed'),
+      schemasAdded: schemaChanges.added.length,
+      schemasRemoved: schemaChanges.removed.length,
+      schemasChanged: schemaChanges.changed.length,
+      breakingChanges,
+    },
+    groups: sortedGroups,
+    schemas: schemaChanges,
+  };
+}
+
+/**
+ * Render a changelog as Markdown. Documentation-only changes are counted per
+ * endpoint / schema rather than listed, to keep release notes readable.
+ */
+export function renderChangelogMarkdown(changelog, { title = 'API changelog', from, to } = {}) {
+  const { summary, groups, schemas } = changelog;
+  const lines = [`# ${title}`, ''];
+
+  if (from || to) lines.push(`_${from || '?'} → ${to || '?'}_`, '');
+
+  const total = summary.endpointsAdded + summary.endpointsRemoved + summary.endpointsDeprecated + summary.endpointsChanged +
+    summary.schemasAdded + summary.schemasRemoved + summary.schemasChanged;
+  if (total === 0) {
+    lines.push('No changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(
+    `**Endpoints:** ${summary.endpointsAdded} added, ${summary.endpointsRemoved} removed, ` +
+    `${summary.endpointsDeprecated} deprecated, ${summary.endpointsChanged} changed. ` +
+    `**Schemas:** ${summary.schemasAdded} added, ${summary.schemasRemoved} removed, ${summary.schemasChanged} changed.`
+  );
+  if (summary.breakingChanges > 0) lines.push('', `> **${summary.breakingChanges} breaking change(s).**`);
+  lines.push('');
+
+  for (const group of groups) {
+    lines.push(`## ${group.name}`, '');
+    if (group.added.length > 0) {
+      lines.push('### Added', '');
+      for (const e of group.added) lines.push(`- \`${e.endpoint}\`${withSummary(e.summary)}${e.deprecated ? ' (deprecated)' : ''}`);
+      lines.push('');
+    }
+    if (group.removed.length > 0) {
+      lines.push('### Removed', '');
+      for (const e of group.removed) lines.push(`- **Breaking:** \`${e.endpoint}\`${withSummary(e.summary)}`);
+      lines.push('');
+    }
+    if (group.deprecated.length > 0) {
+      lines.push('### Deprecated', '');
+      for (const e of group.deprecated) {
+        const details = [
+          e.sunset && `removal on ${e.sunset}`,
+          e.replacement && `use \`${e.replacement}\` instead`,
+          e.reason,
+        ].filter(Boolean);
+        lines.push(`- \`${e.endpoint}\`${withSummary(e.summary)}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+      }
+      lines.push('');
+    }
+    if (group.changed.length > 0) {
+      lines.push('### Changed', '');
+      for (const e of group.changed) {
+        lines.push(`- \`${e.endpoint}\`${withSummary(e.summary)}${e.movedFrom !== undefined ? ` (moved from ${e.movedFrom || 'no folder'})` : ''}`);
+        lines.push(...changeLines(e.changes));
+      }
+      lines.push('');
+    }
+  }
+
+  if (schemas.added.length + schemas.removed.length + schemas.changed.length > 0) {
+    lines.push('## Schemas', '');
+    if (schemas.added.length > 0) lines.push('### Added', '', ...schemas.added.map(n => `- \`${n}\``), '');
+    if (schemas.removed.length > 0) lines.push('### Removed', '', ...schemas.removed.map(n => `- **Breaking:** \`${n}\``), '');
+    if (schemas.changed.length > 0) {
+      lines.push('### Changed', '');
+      for (const s of schemas.changed) lines.push(`- \`${s.name}\``, ...changeLines(s.changes));
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').replace(/\n+$/, '') + '\n';
+}
+
+function changeLines(changes) {
+  const lines = changes
+    .filter(c => c.severity !== 'doc-only')
+    .map(c => `  - ${c.severity === 'breaking' ? '**Breaking:** ' : ''}${c.reason}${c.path ? ` (\`${c.path}\`)` : ''}`);
+  const docOnly = changes.length - lines.length;
+  if (docOnly > 0) lines.push(`  - ${docOnly} documentation change(s)`);
+  return lines;
+}
+
+function withSummary(summary) {
+  return summary ? ` — ${summary}` : '';
+}
+
+function indexEndpoints(spec) {
+  return new Map(ApidogClient.parseEndpoints(spec || {}).map(ep => [`${ep.method} ${ep.path}`, ep]));
+}
+
+function isDeprecated(ep) {
+  return ep.deprecated || ep.status === 'deprecated';
+}
+
+// The flags, the description notice and the Deprecation / Sunset headers added by deprecateOperation
+function isDeprecationChange(change) {
+  const { path } = change;
+  if (DEPRECATION_PATHS.some(p => path === p || path.startsWith(`${p}.`))) return true;
+  if (path === 'description' && change.type === 'changed') {
+    return stripDeprecationNotice(change.newValue || '') === stripDeprecationNotice(change.oldValue || '');
+  }
+  if (path === 'description' && change.type === 'added') return stripDeprecationNotice(change.value || '') === '';
+
+  // A response without headers gets them as one object, others one header at a time
+  const header = path.match(/^responses\.[^.]+\.headers(?:\.([^.]+))?$/);
+  if (!header) return false;
+  if (header[1]) return DEPRECATION_HEADERS.includes(header[1]);
+  return change.type === 'added' && Object.keys(change.value || {}).every(name => DEPRECATION_HEADERS.includes(name));
+}
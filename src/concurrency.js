@@ -0,0 +1,139 @@
+/**
+ * Concurrency
+ *
+ * Every write exports the spec, changes it locally and imports the whole
+ * thing back. If someone edits the project in Apidog in between, that import
+ * would silently revert their edit. These helpers detect that window:
+ *
+ * - fingerprint: a stable hash of an export, to tell whether anything changed
+ * - changedUnits: which endpoints / components / tags differ between two specs
+ * - overlayPartialSpec: what a partial import does to the project
+ * - rebaseChanges: replay our local changes onto a fresher export
+ *
+ * A "unit" is the smallest piece of a spec that is compared and replayed as a whole:
+ * one operation ("GET /users"), one path-level key ("/users parameters"),
+ * one component ("schemas.User"), one tag ("tag Users") or one other top-level key ("info").
+ */
+
+import { createHash } from 'node:crypto';
+import { HTTP_METHODS } from './apidog-client.js';
+
+export const CONFLICT_STRATEGIES = ['rebase', 'abort', 'off'];
+
+/**
+ * Stable hash of a spec. Key order does not matter.
+ */
+export function fingerprint(spec) {
+  return createHash('sha256').update(stableStringify(spec)).digest('hex');
+}
+
+/**
+ * Labels of the units that differ between two specs (added, removed or changed).
+ */
+export function changedUnits(fromSpec, toSpec) {
+  const from = specUnits(fromSpec);
+  const to = specUnits(toSpec);
+  const labels = new Set([...from.keys(), ...to.keys()]);
+  return [...labels].filter(label => !sameValue(from.get(label)?.value, to.get(label)?.value));
+}
+
+/**
+ * The project as it will look after importing partialSpec on top of baseSpec:
+ * the operations, path-level keys and components in partialSpec replace
+ * baseSpec's, everything else is left alone. Top-level keys of the file
+ * (info, servers, tags, ...) are not projected, so a file that only brings
+ * endpoints and schemas never counts as changing them.
+ */
+export function overlayPartialSpec(baseSpec, partialSpec) {
+  const result = structuredClone(baseSpec || {});
+  for (const { location, value } of specUnits(partialSpec).values()) {
+    if (location[0] === 'paths' || location[0] === 'components') setUnit(result, location, structuredClone(value));
+  }
+  return result;
+}
+
+/**
+ * Apply the units changed between baseSpec and localSpec on top of freshSpec.
+ * Returns a new spec; the inputs are not modified.
+ */
+export function rebaseChanges(baseSpec, localSpec, freshSpec) {
+  const result = structuredClone(freshSpec);
+  const base = specUnits(baseSpec);
+  const local = specUnits(localSpec);
+
+  for (const label of new Set([...base.keys(), ...local.keys()])) {
+    const before = base.get(label);
+    const after = local.get(label);
+    if (sameValue(before?.value, after?.value)) continue;
+    setUnit(result, (after || before).location, after ? structuredClone(after.value) : undefined);
+  }
+  return result;
+}
+
+function specUnits(spec) {
+  const units = new Map();
+  const add = (label, location, value) => units.set(label, { location, value });
+
+  for (const [key, value] of Object.entries(spec || {})) {
+    if (key === 'paths') {
+      for (const [path, pathItem] of Object.entries(value || {})) {
+        for (const [k, v] of Object.entries(pathItem || {})) {
+          add(HTTP_METHODS.includes(k) ? `${k.toUpperCase()} ${path}` : `${path} ${k}`, ['paths', path, k], v);
+        }
+      }
+    } else if (key === 'components') {
+      for (const [type, entries] of Object.entries(value || {})) {
+        for (const [name, v] of Object.entries(entries || {})) add(`${type}.${name}`, ['components', type, name], v);
+      }
+    } else if (key === 'tags' && Array.isArray(value)) {
+      for (const tag of value) add(`tag ${tag.name}`, ['tags', tag.name], tag);
+    } else {
+      add(key, [key], value);
+    }
+  }
+  return units;
+}
+
+function setUnit(spec, location, value) {
+  const [root, ...rest] = location;
+
+  if (root === 'tags' && rest.length === 1) {
+    spec.tags = (spec.tags || []).filter(t => t.name !== rest[0] || value !== undefined);
+    const index = spec.tags.findIndex(t => t.name === rest[0]);
+    if (value === undefined) return;
+    if (index >= 0) spec.tags[index] = value;
+    else spec.tags.push(value);
+    return;
+  }
+
+  if (rest.length === 0) {
+    if (value === undefined) delete spec[root];
+    else spec[root] = value;
+    return;
+  }
+
+  const [group, key] = rest;
+  if (value === undefined) {
+    if (!spec[root]?.[group]) return;
+    delete spec[root][group][key];
+    // A path item left without keys is dropped, like every write tool does
+    if (root === 'paths' && Object.keys(spec[root][group]).length === 0) delete spec[root][group];
+    return;
+  }
+  if (!spec[root]) spec[root] = {};
+  if (!spec[root][group]) spec[root][group] = {};
+  spec[root][group][key] = value;
+}
+
+function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function stableStringify(value) {
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
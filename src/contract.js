@@ -0,0 +1,214 @@
+/**
+ * Contract
+ *
+ * Matching real HTTP exchanges to documented operations and validating them
+ * against the documented parameters and schemas. Shared by the mock server
+ * (incoming requests) and the traffic check (recorded requests and responses).
+ */
+
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { HTTP_METHODS } from './apidog-client.js';
+import { resolveRef } from './refs.js';
+
+/**
+ * Routes for every operation, sorted so that literal segments win over
+ * parameters (/users/me before /users/{id}).
+ */
+export function compileRoutes(spec) {
+  const routes = [];
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const names = [];
+    const pattern = path
+      .split(/(\{[^}]+\})/)
+      .map(part => {
+        if (part.startsWith('{') && part.endsWith('}')) {
+          names.push(part.slice(1, -1));
+          return '([^/]+)';
+        }
+        return part.replace(/[.+?^${}()|[\]\\*]/g, '\\$&');
+      })
+      .join('');
+    const regex = new RegExp(`^${pattern}/?$`);
+    const literalSegments = path.split('/').filter(s => s && !s.startsWith('{')).length;
+
+    for (const [method, operation] of Object.entries(pathItem || {})) {
+      if (!HTTP_METHODS.includes(method)) continue;
+      routes.push({
+        method: method.toUpperCase(),
+        path,
+        regex,
+        names,
+        literalSegments,
+        operation,
+        parameters: mergeParameters(spec, pathItem.parameters, operation.parameters),
+      });
+    }
+  }
+  return routes.sort((a, b) => b.literalSegments - a.literalSegments || a.names.length - b.names.length);
+}
+
+/**
+ * Find the documented path for a request path. Returns { routes, params }
+ * with every route (method) of that path, or null. A path prefix from the
+ * first server URL ("https://api.example.com/v1" → "/v1") is accepted too.
+ */
+export function matchRoute(routes, pathname, { basePath } = {}) {
+  const match = matchPath(routes, pathname);
+  if (match || !basePath || !pathname.startsWith(basePath)) return match;
+  return matchPath(routes, pathname.slice(basePath.length) || '/');
+}
+
+/**
+ * The path of the first server URL, or null when it has none.
+ */
+export function serverBasePath(spec) {
+  const url = spec.servers?.[0]?.url;
+  if (!url) return null;
+  try {
+    const path = new URL(url, 'http://localhost').pathname.replace(/\/$/, '');
+    return path || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The documented response for a status code: the exact code, then 4XX-style
+ * ranges, then default. Returns { key, response } ($ref resolved) or null.
+ */
+export function findResponse(spec, operation, status) {
+  const responses = operation.responses || {};
+  const code = String(status);
+  const key = [code, `${code[0]}XX`, `${code[0]}xx`, 'default'].find(k => responses[k]);
+  if (!key) return null;
+  const response = responses[key];
+  return { key, response: response?.$ref ? resolveRef(spec, response.$ref) : response };
+}
+
+/**
+ * Validators for one spec. Schemas are compiled once, with the spec's
+ * components alongside so their internal $refs resolve.
+ *
+ *   checkParameters(route, { params, query, headers }) → [{ in, name, message }]
+ *     params are the path parameters from matchRoute, query a URLSearchParams,
+ *     headers lower-cased. Values are coerced from strings to the documented type.
+ *   checkSchema(schema, data) → [{ keyword, path, message, params }]
+ */
+export function createContractValidator(spec) {
+  const is31 = String(spec.openapi || '').startsWith('3.1');
+  const createAjv = coerceTypes => (is31
+    ? new Ajv2020({ strict: false, allErrors: true, validateFormats: false, coerceTypes })
+    : new Ajv({ strict: false, allErrors: true, validateFormats: false, coerceTypes }));
+  const ajv = createAjv(false);
+  const coercingAjv = createAjv(true);
+  const components = is31 ? spec.components : toJsonSchema(spec.components);
+  const cache = new Map();
+
+  // Compiled once per documented schema; wrap adapts it before compiling
+  const compile = (instance, schema, wrap = s => s) => {
+    if (!cache.has(instance)) cache.set(instance, new WeakMap());
+    const compiled = cache.get(instance);
+    if (!compiled.has(schema)) {
+      compiled.set(schema, instance.compile({ ...wrap(is31 ? schema : toJsonSchema(schema)), components }));
+    }
+    return compiled.get(schema);
+  };
+
+  return {
+    checkParameters(route, { params = {}, query = new URLSearchParams(), headers = {} }) {
+      const errors = [];
+      for (const param of route.parameters) {
+        const raw = param.in === 'path' ? params[param.name]
+          : param.in === 'query' ? queryValue(query, param)
+            : param.in === 'header' ? headers[param.name.toLowerCase()]
+              : undefined;
+        if (raw === undefined) {
+          if (param.required) errors.push({ in: param.in, name: param.name, message: 'is required' });
+          continue;
+        }
+        if (!param.schema) continue;
+        const check = compile(coercingAjv, param.schema, s => ({ type: 'object', properties: { value: s } }));
+        if (!check({ value: raw })) {
+          for (const e of check.errors) errors.push({ in: param.in, name: param.name, message: errorMessage(e) });
+        }
+      }
+      return errors;
+    },
+
+    checkSchema(schema, data) {
+      const check = compile(ajv, schema);
+      if (check(data)) return [];
+      return check.errors.map(e => ({
+        keyword: e.keyword,
+        path: e.instancePath.split('/').slice(1).join('.'),
+        message: errorMessage(e),
+        params: e.params,
+      }));
+    },
+  };
+}
+
+function matchPath(routes, pathname) {
+  for (const route of routes) {
+    const m = route.regex.exec(pathname);
+    if (!m) continue;
+    const params = Object.fromEntries(route.names.map((name, i) => [name, safeDecode(m[i + 1])]));
+    return { routes: routes.filter(r => r.path === route.path), params };
+  }
+  return null;
+}
+
+// Operation parameters override path-level ones with the same name and location
+function mergeParameters(spec, pathLevel = [], operationLevel = []) {
+  const merged = new Map();
+  for (const param of [...pathLevel, ...operationLevel]) {
+    const resolved = param?.$ref ? resolveRef(spec, param.$ref) : param;
+    if (resolved?.name && resolved.in) merged.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+  return [...merged.values()];
+}
+
+function errorMessage(error) {
+  return error.keyword === 'enum' ? `${error.message}: ${error.params.allowedValues.join(', ')}` : error.message;
+}
+
+function queryValue(query, param) {
+  if (!query.has(param.name)) return undefined;
+  const values = query.getAll(param.name);
+  const isArray = param.schema?.type === 'array' || (Array.isArray(param.schema?.type) && param.schema.type.includes('array'));
+  if (!isArray) return values[0];
+  return values.length === 1 && param.explode === false ? values[0].split(',') : values.flatMap(v => v.split(','));
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * OpenAPI 3.0 schema → JSON Schema: nullable becomes a "null" type and
+ * boolean exclusiveMinimum / exclusiveMaximum become numbers.
+ */
+function toJsonSchema(node) {
+  if (Array.isArray(node)) return node.map(toJsonSchema);
+  if (!node || typeof node !== 'object') return node;
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'nullable') result[key] = toJsonSchema(value);
+  }
+  if (node.nullable === true && typeof node.type === 'string') result.type = [node.type, 'null'];
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (typeof node[exclusive] !== 'boolean') continue;
+    if (node[exclusive] && typeof node[bound] === 'number') {
+      result[exclusive] = node[bound];
+      delete result[bound];
+    } else {
+      delete result[exclusive];
+    }
+  }
+  return result;
+}
@@ -0,0 +1,136 @@
+/**
+ * Deprecation
+ *
+ * Marks operations as deprecated in a consistent, machine-readable way and
+ * reports on what has been deprecated:
+ *
+ * - deprecated: true and x-apidog-status: deprecated
+ * - x-apidog-deprecation: { deprecatedAt, sunset, replacement, reason }
+ * - a notice at the top of the description, for people reading the docs
+ * - optionally Deprecation / Sunset response headers (RFC 9745 / RFC 8594)
+ */
+
+import { ApidogClient } from './apidog-client.js';
+
+export const DEPRECATION_EXTENSION = 'x-apidog-deprecation';
+
+/**
+ * Response headers added by deprecateOperation with addHeaders.
+ */
+export const DEPRECATION_HEADERS = ['Deprecation', 'Sunset'];
+
+const NOTICE_PATTERN = /^> \*\*Deprecated\*\*[^\n]*(\n\n|\n|$)/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deprecate an operation in place. Dates are YYYY-MM-DD.
+ * Running it again updates the notice, extension and headers instead of duplicating them;
+ * values that are not passed again are kept.
+ * Returns warnings (e.g. $ref responses that could not get headers).
+ */
+export function deprecateOperation(operation, { sunset, replacement, reason, addHeaders = false, today = isoDate(new Date()) } = {}) {
+  if (sunset && !isValidDate(sunset)) {
+    throw new Error(`sunset must be a date in YYYY-MM-DD format, got "${sunset}"`);
+  }
+
+  const previous = operation[DEPRECATION_EXTENSION] || {};
+  const deprecation = {
+    ...previous,
+    deprecatedAt: previous.deprecatedAt || today,
+    ...(sunset && { sunset }),
+    ...(replacement && { replacement }),
+    ...(reason && { reason }),
+  };
+
+  operation.deprecated = true;
+  operation['x-apidog-status'] = 'deprecated';
+  operation[DEPRECATION_EXTENSION] = deprecation;
+
+  const description = stripDeprecationNotice(operation.description);
+  operation.description = description ? `${deprecationNotice(deprecation)}\n\n${description}` : deprecationNotice(deprecation);
+
+  return addHeaders ? addDeprecationHeaders(operation, deprecation) : [];
+}
+
+/**
+ * Every deprecated endpoint with its sunset date, soonest (or most overdue) first.
+ * Endpoints without a sunset date come last.
+ */
+export function deprecationReport(spec, { today = isoDate(new Date()) } = {}) {
+  const todayMs = Date.parse(today);
+
+  return ApidogClient.parseEndpoints(spec)
+    .filter(ep => ep.deprecated || ep.status === 'deprecated')
+    .map(ep => {
+      const { deprecatedAt = null, sunset = null, replacement = null, reason = null } = ep.operation[DEPRECATION_EXTENSION] || {};
+      const daysUntilSunset = sunset ? Math.round((Date.parse(sunset) - todayMs) / DAY_MS) : null;
+      return {
+        endpoint: `${ep.method} ${ep.path}`,
+        folder: ep.folder,
+        deprecatedAt,
+        sunset,
+        daysUntilSunset,
+        overdue: daysUntilSunset !== null && daysUntilSunset < 0,
+        replacement,
+        reason,
+        ...(ep.deprecated !== (ep.status === 'deprecated') && {
+          inconsistent: ep.deprecated ? 'deprecated: true but status is not "deprecated"' : 'status is "deprecated" but deprecated is not set',
+        }),
+      };
+    })
+    .sort((a, b) => {
+      if (a.daysUntilSunset === null || b.daysUntilSunset === null) {
+        return (a.daysUntilSunset === null) - (b.daysUntilSunset === null);
+      }
+      return a.daysUntilSunset - b.daysUntilSunset;
+    });
+}
+
+/**
+ * A description without the notice deprecateOperation puts at the top.
+ */
+export function stripDeprecationNotice(description = '') {
+  return description.replace(NOTICE_PATTERN, '');
+}
+
+function deprecationNotice({ deprecatedAt, sunset, replacement, reason }) {
+  const parts = [`> **Deprecated** since ${deprecatedAt}.`];
+  if (sunset) parts.push(`Will be removed on ${sunset}.`);
+  if (replacement) parts.push(`Use \`${replacement}\` instead.`);
+  if (reason) parts.push(reason);
+  return parts.join(' ');
+}
+
+function addDeprecationHeaders(operation, { deprecatedAt, sunset }) {
+  const warnings = [];
+  const headers = {
+    Deprecation: {
+      description: `The endpoint is deprecated since ${deprecatedAt} (RFC 9745)`,
+      schema: { type: 'string', example: `@${Math.floor(Date.parse(deprecatedAt) / 1000)}` },
+    },
+    ...(sunset && {
+      Sunset: {
+        description: `The endpoint will be removed on ${sunset} (RFC 8594)`,
+        schema: { type: 'string', example: new Date(Date.parse(sunset)).toUTCString() },
+      },
+    }),
+  };
+
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    if (response.$ref) {
+      warnings.push(`Response ${status} is a shared component (${response.$ref}); add the headers there if needed`);
+      continue;
+    }
+    response.headers = { ...(response.headers || {}), ...headers };
+  }
+  return warnings;
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
@@ -5,10 +5,13 @@
  * Extracted from the validated POC flow.
  */
 
+import { HTTP_METHODS } from './apidog-client.js';
+
 /**
  * Deep diff two objects, producing a list of changes.
+ * ignoreKey(key) can skip additional keys (x-run-in-apidog is always skipped).
  */
-export function deepDiff(oldObj, newObj, path = '') {
+export function deepDiff(oldObj, newObj, path = '', { ignoreKey } = {}) {
   const changes = [];
   const allKeys = new Set([...Object.keys(oldObj || {}), ...Object.keys(newObj || {})]);
 
@@ -19,6 +22,7 @@ export function deepDiff(oldObj, newObj, path = '') {
 
     // Skip Apidog internal links
     if (key === 'x-run-in-apidog') continue;
+    if (ignoreKey?.(key)) continue;
 
     if (oldVal === undefined && newVal !== undefined) {
       changes.push({ type: 'added', path: fullPath, value: newVal });
@@ -30,7 +34,7 @@ export function deepDiff(oldObj, newObj, path = '') {
           changes.push({ type: 'changed', path: fullPath, oldValue: oldVal, newValue: newVal });
         }
       } else {
-        changes.push(...deepDiff(oldVal, newVal, fullPath));
+        changes.push(...deepDiff(oldVal, newVal, fullPath, { ignoreKey }));
       }
     } else if (oldVal !== newVal) {
       changes.push({ type: 'changed', path: fullPath, oldValue: oldVal, newValue: newVal });
@@ -40,6 +44,86 @@ export function deepDiff(oldObj, newObj, path = '') {
   return changes;
 }
 
+/**
+ * Diff two whole specs, endpoint by endpoint and schema by schema.
+ *
+ * Returns (from oldSpec's point of view):
+ *   endpoints: { added: ['GET /x'], removed: [...], changed: [{ endpoint, changes }] }
+ *   schemas:   { added: ['User'],   removed: [...], changed: [{ name, changes }] }
+ *
+ * ignoreKey is passed through to deepDiff.
+ */
+export function diffSpecs(oldSpec, newSpec, { ignoreKey } = {}) {
+  const oldOps = collectOperations(oldSpec);
+  const newOps = collectOperations(newSpec);
+  const oldSchemas = oldSpec?.components?.schemas || {};
+  const newSchemas = newSpec?.components?.schemas || {};
+
+  return {
+    endpoints: diffKeyed(oldOps, newOps, (endpoint, changes) => ({ endpoint, changes }), ignoreKey),
+    schemas: diffKeyed(oldSchemas, newSchemas, (name, changes) => ({ name, changes }), ignoreKey),
+  };
+}
+
+/**
+ * Build the change set a write would produce: what gets created, updated
+ * and deleted, with a readable diff for every update.
+ * This is what dry-run responses return.
+ */
+export function buildChangeSet(oldSpec, newSpec) {
+  const { endpoints, schemas } = diffSpecs(oldSpec, newSpec);
+  return {
+    endpoints: {
+      created: endpoints.added,
+      updated: endpoints.changed.map(c => ({ endpoint: c.endpoint, diff: formatDiff(c.changes) })),
+      deleted: endpoints.removed,
+    },
+    schemas: {
+      created: schemas.added,
+      updated: schemas.changed.map(c => ({ name: c.name, diff: formatDiff(c.changes) })),
+      deleted: schemas.removed,
+    },
+  };
+}
+
+function collectOperations(spec) {
+  const ops = {};
+  for (const [path, methods] of Object.entries(spec?.paths || {})) {
+    for (const [method, op] of Object.entries(methods)) {
+      if (HTTP_METHODS.includes(method)) ops[`${method.toUpperCase()} ${path}`] = op;
+    }
+  }
+  return ops;
+}
+
+/**
+ * ignoreKey for comparing against specs that were not exported from Apidog:
+ * skips every x-apidog-* extension (folders, statuses, orders, ...).
+ */
+export function isApidogExtension(key) {
+  return key.startsWith('x-apidog-');
+}
+
+function diffKeyed(oldMap, newMap, toChanged, ignoreKey) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const key of Object.keys(oldMap)) {
+    if (!(key in newMap)) {
+      removed.push(key);
+      continue;
+    }
+    const changes = deepDiff(oldMap[key], newMap[key], '', { ignoreKey });
+    if (changes.length > 0) changed.push(toChanged(key, changes));
+  }
+  for (const key of Object.keys(newMap)) {
+    if (!(key in oldMap)) added.push(key);
+  }
+
+  return { added: added.sort(), removed: removed.sort(), changed };
+}
+
 /**
  * Format a diff into a readable text summary.
  */
@@ -81,3 +165,202 @@ export function formatDiff(changes) {
 function truncate(str, max = 150) {
   return str.length > max ? str.slice(0, max) + '...' : str;
 }
+
+// ---------------------------------------------------------------------------
+// Breaking-change classification
+// ---------------------------------------------------------------------------
+
+const SEVERITY_ORDER = { 'breaking': 0, 'non-breaking': 1, 'doc-only': 2 };
+const DOC_KEYS = new Set(['summary', 'description', 'title', 'example', 'examples', 'externalDocs', 'tags', 'operationId']);
+
+/**
+ * Classify deepDiff changes by their impact on API consumers.
+ *
+ * context:
+ *   'operation' — changes between two operation objects (section comes from the path)
+ *   'schema'    — changes inside a component schema, which may be used in requests
+ *                 and responses alike, so both sets of rules apply
+ *
+ * Each result is { severity: 'breaking' | 'non-breaking' | 'doc-only', reason, path },
+ * sorted breaking first.
+ */
+export function classifyChanges(changes, { context = 'operation' } = {}) {
+  const results = [];
+
+  for (const change of changes) {
+    if (context === 'operation' && change.path === 'parameters') {
+      const oldParams = change.type === 'added' ? [] : (change.oldValue ?? change.value);
+      const newParams = change.type === 'removed' ? [] : (change.newValue ?? change.value);
+      results.push(...classifyParameterChanges(oldParams, newParams));
+      continue;
+    }
+    const section = context === 'schema' ? 'schema' : sectionOf(change.path);
+    results.push(classifyChange(change, section));
+  }
+
+  return sortBySeverity(results);
+}
+
+/**
+ * Classify every change between two whole specs.
+ * Each result also carries a target: 'GET /path' or 'schema Name'.
+ */
+export function classifySpecChanges(oldSpec, newSpec) {
+  const { endpoints, schemas } = diffSpecs(oldSpec, newSpec);
+  const results = [];
+
+  for (const endpoint of endpoints.removed) {
+    results.push({ target: endpoint, severity: 'breaking', reason: 'Endpoint removed', path: '' });
+  }
+  for (const endpoint of endpoints.added) {
+    results.push({ target: endpoint, severity: 'non-breaking', reason: 'Endpoint added', path: '' });
+  }
+  for (const { endpoint, changes } of endpoints.changed) {
+    for (const c of classifyChanges(changes)) results.push({ target: endpoint, ...c });
+  }
+
+  for (const name of schemas.removed) {
+    results.push({ target: `schema ${name}`, severity: 'breaking', reason: 'Schema removed', path: '' });
+  }
+  for (const name of schemas.added) {
+    results.push({ target: `schema ${name}`, severity: 'non-breaking', reason: 'Schema added', path: '' });
+  }
+  for (const { name, changes } of schemas.changed) {
+    for (const c of classifyChanges(changes, { context: 'schema' })) results.push({ target: `schema ${name}`, ...c });
+  }
+
+  return sortBySeverity(results);
+}
+
+/**
+ * Count classified changes per severity.
+ */
+export function countBySeverity(classified) {
+  const counts = { 'breaking': 0, 'non-breaking': 0, 'doc-only': 0 };
+  for (const c of classified) counts[c.severity]++;
+  return counts;
+}
+
+function sectionOf(path) {
+  const top = path.split('.')[0];
+  if (top === 'responses') return 'response';
+  if (top === 'requestBody' || top === 'parameters') return 'request';
+  return 'other';
+}
+
+function classifyChange(change, section) {
+  const segs = change.path.split('.');
+  const last = segs[segs.length - 1];
+  const lastIsPropertyName = segs[segs.length - 2] === 'properties';
+  const inRequest = section === 'request' || section === 'schema';
+  const inResponse = section === 'response' || section === 'schema';
+  const result = (severity, reason) => ({ severity, reason, path: change.path });
+
+  // Doc-only: any schema keyword along the path (not a property name) is documentation
+  const isDocOnly = segs.some((seg, i) =>
+    segs[i - 1] !== 'properties' && (DOC_KEYS.has(seg) || seg.startsWith('x-'))
+  );
+  if (isDocOnly) return result('doc-only', 'Documentation change');
+
+  // Status codes
+  if (section === 'response' && segs.length <= 2 && change.type === 'removed') {
+    return result('breaking', segs.length === 2 ? `Status code ${last} removed` : 'All responses removed');
+  }
+
+  // Properties
+  if (lastIsPropertyName) {
+    if (change.type === 'removed') {
+      return inResponse
+        ? result('breaking', `Response field "${last}" removed`)
+        : result('non-breaking', `Request field "${last}" removed`);
+    }
+    if (change.type === 'added') return result('non-breaking', `Field "${last}" added`);
+  }
+
+  // Type and $ref changes
+  if (!lastIsPropertyName && (last === 'type' || last === '$ref') && change.type === 'changed') {
+    return result('breaking', `${last === 'type' ? 'Type' : 'Referenced schema'} changed from ${JSON.stringify(change.oldValue)} to ${JSON.stringify(change.newValue)}`);
+  }
+
+  // Enums: narrowing breaks what clients send, widening breaks what clients receive
+  // (exhaustive switches over response values)
+  if (!lastIsPropertyName && last === 'enum') {
+    if (change.type === 'added') return result(inRequest ? 'breaking' : 'non-breaking', 'Enum constraint added');
+    if (change.type === 'removed') return result(inResponse ? 'breaking' : 'non-breaking', 'Enum constraint removed');
+    const format = values => values.map(v => JSON.stringify(v)).join(', ');
+    const dropped = (change.oldValue || []).filter(v => !(change.newValue || []).includes(v));
+    const added = (change.newValue || []).filter(v => !(change.oldValue || []).includes(v));
+    if (dropped.length > 0 && inRequest) return result('breaking', `Enum narrowed (removed: ${format(dropped)})`);
+    if (added.length > 0 && inResponse) return result('breaking', `Enum widened (added: ${format(added)})`);
+    return dropped.length > 0
+      ? result('non-breaking', `Enum narrowed (removed: ${format(dropped)})`)
+      : result('non-breaking', added.length > 0 ? `Enum widened (added: ${format(added)})` : 'Enum reordered');
+  }
+
+  // Required
+  if (change.path === 'requestBody' && change.type === 'added' && change.value?.required === true) {
+    return result('breaking', 'Required request body added');
+  }
+  if (change.path === 'requestBody.required' && (change.newValue ?? change.value) === true && change.type !== 'removed') {
+    return result('breaking', 'Request body made required');
+  }
+  if (!lastIsPropertyName && last === 'required' && Array.isArray(change.newValue ?? change.value)) {
+    const before = change.type === 'added' ? [] : change.type === 'removed' ? change.value : (change.oldValue || []);
+    const after = change.type === 'removed' ? [] : (change.newValue ?? change.value);
+    const newlyRequired = after.filter(p => !before.includes(p));
+    const noLongerRequired = before.filter(p => !after.includes(p));
+    if (inRequest && newlyRequired.length > 0) {
+      return result('breaking', `Required request property added: ${newlyRequired.join(', ')}`);
+    }
+    // Clients can no longer count on these fields being present
+    if (inResponse && noLongerRequired.length > 0) {
+      return result('breaking', `Response property no longer required: ${noLongerRequired.join(', ')}`);
+    }
+    return result('non-breaking', 'Required properties changed');
+  }
+
+  return result('non-breaking', `${capitalize(change.type)} ${last}`);
+}
+
+function classifyParameterChanges(oldParams = [], newParams = []) {
+  const keyOf = p => p.$ref || `${p.in}:${p.name}`;
+  const oldMap = new Map(oldParams.map(p => [keyOf(p), p]));
+  const newMap = new Map(newParams.map(p => [keyOf(p), p]));
+  const results = [];
+
+  for (const [key, param] of newMap) {
+    const path = `parameters.${key}`;
+    const before = oldMap.get(key);
+    if (!before) {
+      results.push(param.required
+        ? { severity: 'breaking', reason: `Required parameter "${key}" added`, path }
+        : { severity: 'non-breaking', reason: `Optional parameter "${key}" added`, path });
+      continue;
+    }
+    for (const change of deepDiff(before, param, path)) {
+      if (change.path === `${path}.required`) {
+        const nowRequired = change.type !== 'removed' && (change.newValue ?? change.value) === true;
+        results.push(nowRequired
+          ? { severity: 'breaking', reason: `Parameter "${key}" made required`, path: change.path }
+          : { severity: 'non-breaking', reason: `Parameter "${key}" made optional`, path: change.path });
+      } else {
+        results.push(classifyChange(change, 'request'));
+      }
+    }
+  }
+  for (const key of oldMap.keys()) {
+    if (!newMap.has(key)) {
+      results.push({ severity: 'breaking', reason: `Parameter "${key}" removed`, path: `parameters.${key}` });
+    }
+  }
+
+  return results;
+}
+
+function sortBySeverity(results) {
+  return results.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
@@ -0,0 +1,184 @@
+/**
+ * Endpoint Mover
+ *
+ * Moves endpoints to a new path and/or method inside a spec, keeping the
+ * full operation (folder, status, maintainer, examples, ...) and renaming
+ * path parameters to match the new template.
+ *
+ * Path parameters are matched by position:
+ *   /api/v1/user/{id}  →  /api/v1/users/{userId}   renames id → userId
+ */
+
+import { HTTP_METHODS } from './apidog-client.js';
+
+/**
+ * Build the list of moves for a request. Either:
+ *   { method, path, newPath?, newMethod? }   — one endpoint
+ *   { fromPrefix, toPrefix, method? }         — every endpoint under a path prefix
+ *
+ * Returns [{ from: { method, path }, to: { method, path }, paramRenames }].
+ * Throws when the request is invalid or a target is already taken.
+ */
+export function planMoves(spec, request) {
+  const moves = request.fromPrefix !== undefined
+    ? planPrefixMoves(spec, request)
+    : [planSingleMove(spec, request)];
+
+  if (moves.length === 0) {
+    throw new Error(`No endpoints found under "${request.fromPrefix}"`);
+  }
+
+  // Targets must be free, unless the endpoint there is itself moving away
+  const leaving = new Set(moves.map(m => key(m.from)));
+  const arriving = new Set();
+  for (const move of moves) {
+    const target = key(move.to);
+    if (arriving.has(target)) {
+      throw new Error(`Two endpoints would move to ${target}`);
+    }
+    arriving.add(target);
+    if (spec.paths?.[move.to.path]?.[move.to.method] && !leaving.has(target)) {
+      throw new Error(`${target} already exists. Delete it or pick another path.`);
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Apply planned moves to a spec in place.
+ * All endpoints are removed first and then re-inserted, so swaps and chained
+ * prefix moves work. Returns warnings (e.g. shared $ref parameters that could not be renamed).
+ */
+export function applyMoves(spec, moves) {
+  const warnings = [];
+  const removed = [];
+  // Target path items created by this batch → the path item whose keys they were given
+  const created = new Map();
+
+  for (const move of moves) {
+    const pathItem = spec.paths[move.from.path];
+    removed.push({ move, operation: pathItem[move.from.method], pathItem });
+    delete pathItem[move.from.method];
+  }
+
+  for (const { move, operation, pathItem } of removed) {
+    warnings.push(...renamePathParameters(operation, move.paramRenames, key(move.to)));
+
+    if (!spec.paths[move.to.path]) {
+      // Carry path-level keys (parameters, servers, ...) over to the new path item
+      spec.paths[move.to.path] = {};
+      created.set(move.to.path, pathItem);
+      for (const [k, value] of Object.entries(pathItem)) {
+        if (HTTP_METHODS.includes(k)) continue;
+        const copy = structuredClone(value);
+        if (k === 'parameters') warnings.push(...renamePathParameters({ parameters: copy }, move.paramRenames, move.to.path));
+        spec.paths[move.to.path][k] = copy;
+      }
+    } else if (move.to.path !== move.from.path && created.get(move.to.path) !== pathItem && pathItem.parameters?.length) {
+      // The target path item already exists: fold the old path-level parameters into the operation.
+      // A method-only move stays in the same path item and keeps inheriting them, and so do
+      // operations moving into a path item this batch created from their own path item.
+      const own = new Set((operation.parameters || []).map(p => p.$ref || `${p.in}:${p.name}`));
+      const inherited = structuredClone(pathItem.parameters).filter(p => !own.has(p.$ref || `${p.in}:${p.name}`));
+      warnings.push(...renamePathParameters({ parameters: inherited }, move.paramRenames, key(move.to)));
+      operation.parameters = [...(operation.parameters || []), ...inherited];
+    }
+    spec.paths[move.to.path][move.to.method] = operation;
+  }
+
+  // Drop path items that no longer hold any operation
+  for (const { move } of removed) {
+    const pathItem = spec.paths[move.from.path];
+    if (pathItem && !Object.keys(pathItem).some(k => HTTP_METHODS.includes(k))) {
+      delete spec.paths[move.from.path];
+    }
+  }
+
+  return warnings;
+}
+
+function planSingleMove(spec, { method, path, newPath, newMethod }) {
+  if (!method || !path) throw new Error('method and path are required (or use fromPrefix/toPrefix)');
+  const fromMethod = method.toLowerCase();
+  const toMethod = (newMethod || method).toLowerCase();
+  const toPath = newPath || path;
+
+  if (!HTTP_METHODS.includes(toMethod)) throw new Error(`Invalid method "${newMethod}"`);
+  if (!spec.paths?.[path]?.[fromMethod]) throw new Error(`${fromMethod.toUpperCase()} ${path} not found`);
+  if (toPath === path && toMethod === fromMethod) throw new Error('Provide newPath and/or newMethod');
+
+  return {
+    from: { method: fromMethod, path },
+    to: { method: toMethod, path: toPath },
+    paramRenames: mapPathParams(path, toPath),
+  };
+}
+
+function planPrefixMoves(spec, { fromPrefix, toPrefix, method }) {
+  if (toPrefix === undefined) throw new Error('toPrefix is required with fromPrefix');
+  const from = stripWildcard(fromPrefix);
+  const to = stripWildcard(toPrefix);
+  const onlyMethod = method?.toLowerCase();
+  const moves = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    if (path !== from && !path.startsWith(`${from}/`)) continue;
+    const toPath = to + path.slice(from.length);
+    for (const m of Object.keys(pathItem)) {
+      if (!HTTP_METHODS.includes(m) || (onlyMethod && m !== onlyMethod)) continue;
+      moves.push({
+        from: { method: m, path },
+        to: { method: m, path: toPath },
+        paramRenames: mapPathParams(path, toPath),
+      });
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Positional mapping of path parameters between two templates: { oldName: newName }.
+ */
+export function mapPathParams(oldPath, newPath) {
+  const oldParams = templateParams(oldPath);
+  const newParams = templateParams(newPath);
+  if (oldParams.length !== newParams.length) {
+    throw new Error(
+      `${oldPath} has ${oldParams.length} path parameter(s) but ${newPath} has ${newParams.length}; ` +
+      'moves must keep the same number of path parameters'
+    );
+  }
+  const renames = {};
+  oldParams.forEach((name, i) => {
+    if (name !== newParams[i]) renames[name] = newParams[i];
+  });
+  return renames;
+}
+
+function renamePathParameters(operation, renames, location) {
+  const warnings = [];
+  if (Object.keys(renames).length === 0) return warnings;
+
+  for (const param of operation.parameters || []) {
+    if (param.$ref) {
+      warnings.push(`${location}: parameter ${param.$ref} is a shared component and was not renamed`);
+    } else if (param.in === 'path' && renames[param.name]) {
+      param.name = renames[param.name];
+    }
+  }
+  return warnings;
+}
+
+function templateParams(path) {
+  return [...path.matchAll(/\{([^}]+)\}/g)].map(m => m[1]);
+}
+
+function stripWildcard(prefix) {
+  return prefix.replace(/\/?\*$/, '').replace(/\/$/, '');
+}
+
+function key({ method, path }) {
+  return `${method.toUpperCase()} ${path}`;
+}
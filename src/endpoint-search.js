@@ -0,0 +1,281 @@
+/**
+ * Endpoint Search
+ *
+ * Ranked, typo-tolerant search over the endpoints of a spec. Free-text terms
+ * are matched against the path, summary, operationId, tags, folder,
+ * description, parameter names and the property names of the request and
+ * response schemas ($refs followed). Field-qualified terms narrow the results:
+ *
+ *   tag:billing status:released param:invoiceId
+ *   folder:"Billing/Invoices" field:vatNumber method:post -deprecated:true
+ *
+ * Words are compared token by token, camelCase and snake_case split
+ * (invoiceId → invoice, id), so "invoice id" finds invoiceId and "invoce"
+ * still finds invoices.
+ */
+
+import { ApidogClient, HTTP_METHODS } from './apidog-client.js';
+import { collectReferencedComponents, resolveRef } from './refs.js';
+
+/**
+ * Qualifiers accepted in the query, with the endpoint values they test.
+ */
+export const SEARCH_QUALIFIERS = ['tag', 'folder', 'status', 'maintainer', 'method', 'path', 'param', 'field', 'operationId', 'deprecated'];
+
+// Weight of an exact token match per field; prefix, substring and typo matches score less
+const FIELD_WEIGHTS = {
+  path: 10,
+  operationId: 10,
+  summary: 8,
+  tags: 6,
+  folder: 6,
+  params: 5,
+  fields: 4,
+  description: 2,
+};
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, substring: 0.6, typo: 0.5 };
+
+/**
+ * Split a query into free-text terms, excluded terms and qualified filters.
+ * Returns { terms: ['invoice'], excluded: ['pdf'], filters: [{ field, value, negate }], unknown: ['foo:bar'] }.
+ * Values may be quoted ("Billing/Invoices"); unknown qualifiers are kept as plain text.
+ */
+export function parseSearchQuery(query = '') {
+  const terms = [];
+  const excluded = [];
+  const filters = [];
+  const unknown = [];
+  const qualifiers = new Map(SEARCH_QUALIFIERS.map(q => [q.toLowerCase(), q]));
+
+  for (const [, negate, key, quoted, bare] of query.matchAll(/(-)?(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g)) {
+    const value = quoted ?? bare;
+    const field = key && qualifiers.get(key.toLowerCase());
+    if (field && value) {
+      filters.push({ field, value, negate: Boolean(negate) });
+    } else if (key) {
+      unknown.push(`${negate || ''}${key}:${value}`);
+      terms.push(...tokenize(`${key} ${value}`));
+    } else {
+      (negate ? excluded : terms).push(...tokenize(value));
+    }
+  }
+
+  return { terms: [...new Set(terms)], excluded: [...new Set(excluded)], filters, unknown };
+}
+
+/**
+ * Search the endpoints of a spec.
+ *
+ * Options (on top of the qualifiers in the query, combined with AND):
+ *   method, status, maintainer (case-insensitive, maintainer as substring), deprecated (boolean)
+ * Qualifiers: tag and method match exactly, status too; folder matches a folder
+ * name or path prefix; maintainer and path are substrings; param, field and
+ * operationId match names token by token with typo tolerance. A leading "-"
+ * negates a qualifier, or excludes endpoints with a word starting with a
+ * free-text term (-pdf; no typo tolerance, so nothing is excluded by accident).
+ *
+ * Every filter must hold. With free-text terms, endpoints matching none are
+ * dropped and the rest are ranked: more matched terms first, then score.
+ * Without terms, every endpoint passing the filters is returned, sorted by path.
+ * Returns { terms, excluded, filters, unknown, results: [{ ...endpoint, score, matchedTerms, matches }] }
+ * where matches lists the fields that matched ("summary", "param:invoiceId", ...).
+ */
+export function searchEndpoints(spec, query, { method, status, maintainer, deprecated } = {}) {
+  const parsed = parseSearchQuery(query);
+  const filters = [
+    ...parsed.filters,
+    ...(method ? [{ field: 'method', value: method, negate: false }] : []),
+    ...(status ? [{ field: 'status', value: status, negate: false }] : []),
+    ...(maintainer ? [{ field: 'maintainer', value: maintainer, negate: false }] : []),
+    ...(typeof deprecated === 'boolean' ? [{ field: 'deprecated', value: String(deprecated), negate: false }] : []),
+  ];
+
+  const results = [];
+  for (const ep of ApidogClient.parseEndpoints(spec)) {
+    const doc = indexEndpoint(spec, ep);
+    if (!filters.every(filter => matchesFilter(doc, filter) !== filter.negate)) continue;
+    if (parsed.excluded.some(term => containsTerm(doc, term))) continue;
+
+    if (parsed.terms.length === 0) {
+      results.push({ ...ep, score: 0, matchedTerms: 0, matches: [] });
+      continue;
+    }
+
+    let score = 0;
+    let matchedTerms = 0;
+    const matches = new Set();
+    for (const term of parsed.terms) {
+      const best = scoreTerm(doc, term);
+      if (!best) continue;
+      matchedTerms++;
+      score += best.score;
+      for (const label of best.labels) matches.add(label);
+    }
+    if (matchedTerms > 0) {
+      results.push({ ...ep, score: Math.round(score * 10) / 10, matchedTerms, matches: [...matches] });
+    }
+  }
+
+  results.sort(parsed.terms.length === 0
+    ? (a, b) => a.path.localeCompare(b.path) || HTTP_METHODS.indexOf(a.method.toLowerCase()) - HTTP_METHODS.indexOf(b.method.toLowerCase())
+    : (a, b) => b.matchedTerms - a.matchedTerms || b.score - a.score || a.path.localeCompare(b.path));
+
+  return { terms: parsed.terms, excluded: parsed.excluded, filters, unknown: parsed.unknown, results };
+}
+
+/**
+ * The searchable text of an endpoint, per field. Each entry keeps its
+ * original value (for labels and filters) and its tokens.
+ */
+function indexEndpoint(spec, ep) {
+  const entries = value => (value ? [{ value, tokens: tokenize(value) }] : []);
+  const operation = ep.operation;
+  return {
+    ep,
+    path: entries(ep.path),
+    operationId: entries(operation.operationId),
+    summary: entries(ep.summary),
+    tags: ep.tags.flatMap(entries),
+    folder: entries(ep.folder),
+    params: [...parameterNames(spec, ep)].flatMap(entries),
+    fields: [...propertyNames(spec, operation)].flatMap(entries),
+    description: entries(ep.description),
+  };
+}
+
+function parameterNames(spec, ep) {
+  const pathItem = spec.paths?.[ep.path] || {};
+  const names = new Set();
+  for (const param of [...(pathItem.parameters || []), ...(ep.operation.parameters || [])]) {
+    const resolved = param?.$ref ? resolveRef(spec, param.$ref) : param;
+    if (resolved?.name) names.add(resolved.name);
+  }
+  return names;
+}
+
+// Property names anywhere in the operation's schemas, including the components they reference
+function propertyNames(spec, operation) {
+  const names = new Set();
+  const components = collectReferencedComponents(spec, operation);
+  delete components.parameters;
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (node.properties && typeof node.properties === 'object' && !Array.isArray(node.properties)) {
+        for (const name of Object.keys(node.properties)) names.add(name);
+      }
+      for (const [key, value] of Object.entries(node)) {
+        if (key !== 'examples' && key !== 'example') visit(value);
+      }
+    }
+  };
+  visit({ requestBody: operation.requestBody, responses: operation.responses });
+  for (const byName of Object.values(components)) visit(Object.values(byName));
+  return names;
+}
+
+function matchesFilter(doc, { field, value }) {
+  const wanted = value.toLowerCase();
+  const { ep } = doc;
+  switch (field) {
+    case 'method':
+      return ep.method.toLowerCase() === wanted;
+    case 'status':
+      return (ep.status || '').toLowerCase() === wanted;
+    case 'maintainer':
+      return (ep.maintainer || '').toLowerCase().includes(wanted);
+    case 'deprecated':
+      return ep.deprecated === !['false', 'no', '0'].includes(wanted);
+    case 'folder':
+      return (ep.folder || '').toLowerCase().split('/').some(part => part === wanted) || (ep.folder || '').toLowerCase().startsWith(wanted);
+    case 'tag':
+      return ep.tags.some(tag => tag.toLowerCase() === wanted);
+    case 'path':
+      return ep.path.toLowerCase().includes(wanted);
+    case 'param':
+    case 'field':
+    case 'operationId': {
+      const entries = doc[field === 'param' ? 'params' : field === 'field' ? 'fields' : 'operationId'];
+      const tokens = tokenize(value);
+      return entries.some(entry => entry.value.toLowerCase() === wanted
+        || (tokens.length > 0 && tokens.every(token => entry.tokens.some(t => compareToken(t, token)))));
+    }
+    default:
+      return true;
+  }
+}
+
+// Whether any searched field has a word equal to or starting with the term
+function containsTerm(doc, term) {
+  return Object.keys(FIELD_WEIGHTS).some(field => doc[field].some(entry => entry.tokens.some(token => token.startsWith(term))));
+}
+
+// Best match of one term over every field: { score, labels }
+function scoreTerm(doc, term) {
+  let best = null;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    for (const entry of doc[field]) {
+      const quality = Math.max(0, ...entry.tokens.map(token => MATCH_QUALITY[compareToken(token, term)] || 0));
+      if (quality === 0) continue;
+      const score = weight * quality;
+      const label = field === 'params' ? `param:${entry.value}` : field === 'fields' ? `field:${entry.value}` : field;
+      if (!best || score > best.score) best = { score, labels: [label] };
+      else if (score === best.score && !best.labels.includes(label)) best.labels.push(label);
+    }
+  }
+  return best;
+}
+
+/**
+ * How a token of the text matches a search token: 'exact', 'prefix',
+ * 'substring', 'typo' (edit distance 1 for 4–7 letters, 2 from 8) or null.
+ */
+function compareToken(token, term) {
+  if (token === term) return 'exact';
+  if (term.length >= 2 && token.startsWith(term)) return 'prefix';
+  if (term.length >= 3 && token.includes(term)) return 'substring';
+  if (term.length < 4) return null;
+  const allowed = term.length >= 8 ? 2 : 1;
+  // Compare against the same-length prefix too, so "invoce" finds "invoices"
+  const candidates = token.length > term.length ? [token, token.slice(0, term.length)] : [token];
+  return candidates.some(candidate => editDistance(candidate, term, allowed) <= allowed) ? 'typo' : null;
+}
+
+/**
+ * Lower-cased words of a text, split on non-alphanumerics and camelCase.
+ */
+function tokenize(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Damerau–Levenshtein (optimal string alignment) distance, giving up once it
+ * exceeds max.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
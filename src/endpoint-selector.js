@@ -0,0 +1,104 @@
+/**
+ * Endpoint Selector
+ *
+ * Picks a subset of endpoints by folder, tag, path glob or an explicit list,
+ * for tools that work on "these endpoints" rather than one or all of them.
+ *
+ * Criteria combine with AND; the values inside one criterion combine with OR:
+ *   { folders: ['Billing'], tags: ['public', 'partner'] }
+ *   → endpoints in Billing (or a subfolder) tagged public or partner
+ */
+
+import { ApidogClient, HTTP_METHODS } from './apidog-client.js';
+import { collectReferencedComponents } from './refs.js';
+
+/**
+ * Selection properties shared by the tools' input schemas.
+ */
+export const SELECTION_PROPERTIES = {
+  folders: { type: 'array', items: { type: 'string' }, description: 'Folders to select, e.g. ["Billing"]. Subfolders are included.' },
+  tags: { type: 'array', items: { type: 'string' }, description: 'Tags to select' },
+  paths: { type: 'array', items: { type: 'string' }, description: 'Path globs, e.g. ["/api/v1/billing/**"]. * matches within one segment, ** across segments.' },
+  endpoints: { type: 'array', items: { type: 'string' }, description: 'Explicit endpoints, e.g. ["GET /api/v1/users/{id}"]' },
+};
+
+/**
+ * True when the selection has at least one criterion.
+ */
+export function hasSelection({ folders, tags, paths, endpoints } = {}) {
+  return [folders, tags, paths, endpoints].some(list => list?.length > 0);
+}
+
+/**
+ * Endpoints (as returned by ApidogClient.parseEndpoints) matching a selection.
+ * An empty selection matches every endpoint.
+ */
+export function selectEndpoints(spec, { folders, tags, paths, endpoints } = {}) {
+  const globs = (paths || []).map(globToRegExp);
+  const explicit = new Set((endpoints || []).map(normalizeEndpoint));
+
+  return ApidogClient.parseEndpoints(spec).filter(ep => {
+    if (folders?.length && !folders.some(f => ep.folder === f || (ep.folder || '').startsWith(`${f}/`))) return false;
+    if (tags?.length && !tags.some(t => ep.tags.includes(t))) return false;
+    if (globs.length && !globs.some(re => re.test(ep.path))) return false;
+    if (explicit.size && !explicit.has(`${ep.method} ${ep.path}`)) return false;
+    return true;
+  });
+}
+
+/**
+ * Explicit endpoints from a selection that do not exist in the spec.
+ */
+export function findMissingEndpoints(spec, endpoints = []) {
+  return endpoints
+    .map(normalizeEndpoint)
+    .filter(key => {
+      const [method, path] = key.split(' ');
+      return !spec.paths?.[path]?.[method.toLowerCase()];
+    });
+}
+
+/**
+ * A copy of the spec reduced to the selected endpoints, the components they
+ * reference (transitively) and the tags they use. Top-level metadata is kept;
+ * webhooks are dropped.
+ */
+export function scopeSpec(spec, selection) {
+  const selected = selectEndpoints(spec, selection);
+  const paths = {};
+  for (const ep of selected) {
+    if (!paths[ep.path]) {
+      // Path-level keys (shared parameters, servers) come along with the first operation
+      paths[ep.path] = Object.fromEntries(Object.entries(spec.paths[ep.path]).filter(([key]) => !HTTP_METHODS.includes(key)));
+    }
+    paths[ep.path][ep.method.toLowerCase()] = ep.operation;
+  }
+
+  const usedTags = new Set(selected.flatMap(ep => ep.tags));
+  const scoped = { ...spec, paths };
+  delete scoped.webhooks;
+  if (spec.tags) scoped.tags = spec.tags.filter(t => usedTags.has(t.name));
+
+  const components = collectReferencedComponents(spec, paths);
+  // Security schemes are referenced by name, not by $ref
+  if (spec.components?.securitySchemes) components.securitySchemes = spec.components.securitySchemes;
+  scoped.components = components;
+
+  return structuredClone(scoped);
+}
+
+function normalizeEndpoint(endpoint) {
+  const [method, ...rest] = endpoint.trim().split(/\s+/);
+  return `${method.toUpperCase()} ${rest.join(' ')}`;
+}
+
+/**
+ * Path glob → RegExp. * matches within one segment, ** across segments.
+ */
+export function globToRegExp(glob) {
+  const pattern = glob
+    .split(/(\*\*|\*)/)
+    .map(part => (part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${pattern}$`);
+}
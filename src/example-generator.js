@@ -0,0 +1,288 @@
+/**
+ * Example Generator
+ *
+ * Synthesizes examples from schemas for request bodies and responses.
+ * Examples respect type, format, enum, const, min/max (length, items, value)
+ * and multipleOf; every property is filled in, so required ones always are.
+ * Property names steer the values where the schema says nothing more
+ * ("email" → an address, "city" → a city), to keep examples realistic.
+ *
+ * Generation is seeded: the same seed and spec always give the same examples.
+ * Each operation gets its own stream (seed + "GET /path"), so adding an
+ * endpoint does not change the examples of the others.
+ */
+
+import { resolveRef } from './refs.js';
+import { hasExample } from './linter.js';
+
+const MAX_DEPTH = 8;
+const SKIPPED_MEDIA = /^(application\/octet-stream|image\/|audio\/|video\/|application\/pdf)/;
+
+const WORDS = ['alpha', 'bravo', 'delta', 'echo', 'nova', 'orbit', 'pixel', 'quartz', 'river', 'summit'];
+const FIRST_NAMES = ['Alice', 'Bruno', 'Chloé', 'David', 'Emma', 'Farid', 'Greta', 'Hugo', 'Inès', 'Jonas'];
+const LAST_NAMES = ['Martin', 'Bernard', 'Dubois', 'Peeters', 'Janssens', 'Maes', 'Jacobs', 'Mertens', 'Willems', 'Claes'];
+const CITIES = ['Brussels', 'Antwerp', 'Ghent', 'Liège', 'Paris', 'Lyon', 'Amsterdam', 'Berlin', 'Madrid', 'Lisbon'];
+const COUNTRIES = ['BE', 'FR', 'NL', 'DE', 'ES', 'PT', 'IT', 'LU'];
+const CURRENCIES = ['EUR', 'USD', 'GBP'];
+
+/**
+ * Deterministic pseudo-random generator (mulberry32). Returns a function
+ * yielding floats in [0, 1), like Math.random.
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build an example value for a schema. $refs are resolved against the spec;
+ * recursive schemas stop where they would loop. direction 'request' leaves
+ * readOnly properties out, 'response' leaves writeOnly ones out.
+ */
+export function generateExample(spec, schema, { random = createRandom(0), propertyName, direction } = {}) {
+  return sample(schema, { spec, random, direction, refs: [], depth: 0 }, propertyName);
+}
+
+/**
+ * Add generated examples to an operation's request body and responses, in place.
+ * Media types that already have an example are left alone unless overwrite is set.
+ *
+ * Returns { added: ['requestBody.content.application/json', ...], warnings: [...] }.
+ */
+export function addOperationExamples(spec, operation, { random, overwrite = false } = {}) {
+  const added = [];
+  const warnings = [];
+
+  const fill = (holder, basePath, direction) => {
+    if (!holder) return;
+    if (holder.$ref) {
+      warnings.push(`${basePath} is a shared component (${holder.$ref}); add its example there`);
+      return;
+    }
+    for (const [mediaType, media] of Object.entries(holder.content || {})) {
+      if (!media?.schema || SKIPPED_MEDIA.test(mediaType)) continue;
+      if (!overwrite && hasExample(media)) continue;
+
+      const value = generateExample(spec, media.schema, { random, direction });
+      if (value === undefined) continue;
+      delete media.examples;
+      media.example = value;
+      added.push(`${basePath}.content.${mediaType}`);
+    }
+  };
+
+  fill(operation.requestBody, 'requestBody', 'request');
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    fill(response, `responses.${status}`, 'response');
+  }
+
+  return { added, warnings };
+}
+
+function sample(schema, ctx, name) {
+  if (!schema || typeof schema !== 'object') return undefined;
+
+  if (schema.$ref) {
+    if (ctx.refs.includes(schema.$ref)) return undefined;
+    const target = resolveRef(ctx.spec, schema.$ref);
+    if (target === undefined) return undefined;
+    return sample(target, { ...ctx, refs: [...ctx.refs, schema.$ref] }, name);
+  }
+  if (ctx.depth > MAX_DEPTH) return undefined;
+
+  if ('const' in schema) return schema.const;
+  if (schema.example !== undefined) return structuredClone(schema.example);
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return structuredClone(schema.examples[0]);
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const values = schema.enum.filter(v => v !== null);
+    return values.length > 0 ? pick(ctx, values) : null;
+  }
+  if (schema.default !== undefined) return structuredClone(schema.default);
+
+  if (Array.isArray(schema.allOf)) return sampleAllOf(schema, ctx, name);
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    const branch = alternatives.find(s => typeOf(s) !== 'null') || alternatives[0];
+    return sample(branch, ctx, name);
+  }
+
+  switch (typeOf(schema)) {
+    case 'object': return sampleObject(schema, ctx);
+    case 'array': return sampleArray(schema, ctx, name);
+    case 'integer': return sampleNumber(schema, ctx, name, true);
+    case 'number': return sampleNumber(schema, ctx, name, false);
+    case 'boolean': return ctx.random() < 0.5;
+    case 'null': return null;
+    default: return sampleString(schema, ctx, name);
+  }
+}
+
+function sampleAllOf(schema, ctx, name) {
+  const { allOf, ...rest } = schema;
+  const parts = [...allOf, ...(Object.keys(rest).length > 0 ? [rest] : [])]
+    .map(part => sample(part, ctx, name))
+    .filter(value => value !== undefined);
+
+  if (parts.every(p => p && typeof p === 'object' && !Array.isArray(p))) return Object.assign({}, ...parts);
+  return parts[parts.length - 1];
+}
+
+function sampleObject(schema, ctx) {
+  const result = {};
+  const child = { ...ctx, depth: ctx.depth + 1 };
+  const required = new Set(schema.required || []);
+
+  for (const [prop, propSchema] of Object.entries(schema.properties || {})) {
+    if ((propSchema?.readOnly && ctx.direction === 'request') || (propSchema?.writeOnly && ctx.direction === 'response')) continue;
+    const value = sample(propSchema, child, prop);
+    if (value !== undefined) result[prop] = value;
+    else if (required.has(prop)) result[prop] = null;
+  }
+  if (Object.keys(result).length === 0 && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    const value = sample(schema.additionalProperties, child, 'value');
+    if (value !== undefined) result.key = value;
+  }
+  return result;
+}
+
+function sampleArray(schema, ctx, name) {
+  const min = schema.minItems ?? 1;
+  const max = schema.maxItems ?? Math.max(min, 2);
+  const count = Math.min(Math.max(min, 1), max);
+  const itemName = name?.replace(/ies$/, 'y').replace(/s$/, '');
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const value = sample(schema.items || {}, { ...ctx, depth: ctx.depth + 1 }, itemName);
+    if (value === undefined) break;
+    items.push(value);
+  }
+  return items;
+}
+
+function sampleNumber(schema, ctx, name, integer) {
+  const lower = name?.toLowerCase() || '';
+  let min = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : undefined);
+  let max = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : undefined);
+  const exclusiveMin = schema.exclusiveMinimum === true || typeof schema.exclusiveMinimum === 'number';
+  const exclusiveMax = schema.exclusiveMaximum === true || typeof schema.exclusiveMaximum === 'number';
+
+  // Sensible ranges when the schema leaves them open
+  if (min === undefined && max === undefined) {
+    if (/(^|_)(id|count|quantity|total)$|Id$/.test(name || '')) [min, max] = [1, 1000];
+    else if (/age$/.test(lower)) [min, max] = [18, 90];
+    else if (/(price|amount|cost)/.test(lower)) [min, max] = [1, 500];
+    else if (/(percent|rate)/.test(lower)) [min, max] = [0, 100];
+    else [min, max] = [1, 100];
+  }
+  min ??= max - 100;
+  max ??= min + 100;
+
+  const step = schema.multipleOf || (integer ? 1 : 0.01);
+  const low = Math.ceil((min + (exclusiveMin ? step : 0)) / step);
+  const high = Math.floor((max - (exclusiveMax ? step : 0)) / step);
+  if (high < low) return min;
+  const value = (low + Math.floor(ctx.random() * (high - low + 1))) * step;
+  return integer ? Math.round(value) : Number(value.toFixed(decimals(step)));
+}
+
+function sampleString(schema, ctx, name) {
+  const value = stringForFormat(schema.format, ctx) ?? stringForName(name, ctx) ?? pick(ctx, WORDS);
+  return fitLength(value, schema, ctx);
+}
+
+function stringForFormat(format, ctx) {
+  switch (format) {
+    case 'date': return isoDate(ctx).slice(0, 10);
+    case 'date-time': return isoDate(ctx);
+    case 'time': return isoDate(ctx).slice(11, 19);
+    case 'email': return `${pick(ctx, FIRST_NAMES).toLowerCase().normalize('NFD').replace(/[^a-z]/g, '')}@example.com`;
+    case 'uuid': return uuid(ctx);
+    case 'uri':
+    case 'url': return `https://example.com/${pick(ctx, WORDS)}`;
+    case 'hostname': return `${pick(ctx, WORDS)}.example.com`;
+    case 'ipv4': return `192.0.2.${1 + Math.floor(ctx.random() * 254)}`;
+    case 'ipv6': return `2001:db8::${(1 + Math.floor(ctx.random() * 0xfffe)).toString(16)}`;
+    case 'password': return `${pick(ctx, WORDS)}-${Math.floor(ctx.random() * 9000) + 1000}!`;
+    case 'byte': return Buffer.from(pick(ctx, WORDS)).toString('base64');
+    default: return undefined;
+  }
+}
+
+function stringForName(name, ctx) {
+  if (!name) return undefined;
+  const lower = name.toLowerCase().replace(/[-_]/g, '');
+
+  if (lower.endsWith('email')) return stringForFormat('email', ctx);
+  if (lower.endsWith('uuid')) return uuid(ctx);
+  if (/(url|link|website|href)$/.test(lower)) return stringForFormat('uri', ctx);
+  if (/(createdat|updatedat|deletedat|timestamp)$/.test(lower)) return isoDate(ctx);
+  if (/(date|birthday|dob)$/.test(lower)) return isoDate(ctx).slice(0, 10);
+  if (lower === 'firstname' || lower === 'givenname') return pick(ctx, FIRST_NAMES);
+  if (lower === 'lastname' || lower === 'surname' || lower === 'familyname') return pick(ctx, LAST_NAMES);
+  if (lower === 'name' || lower.endsWith('fullname') || lower === 'username') return `${pick(ctx, FIRST_NAMES)} ${pick(ctx, LAST_NAMES)}`;
+  if (lower.endsWith('phone') || lower.endsWith('phonenumber')) return `+32 4${Math.floor(ctx.random() * 90000000 + 10000000)}`;
+  if (lower.endsWith('city')) return pick(ctx, CITIES);
+  if (lower.endsWith('country') || lower.endsWith('countrycode')) return pick(ctx, COUNTRIES);
+  if (lower.endsWith('currency')) return pick(ctx, CURRENCIES);
+  if (/(zip|postcode|postalcode)$/.test(lower)) return String(1000 + Math.floor(ctx.random() * 9000));
+  if (/(street|address)$/.test(lower)) return `${1 + Math.floor(ctx.random() * 200)} ${pick(ctx, WORDS)} street`;
+  if (/(description|comment|note|message)s?$/.test(lower)) return `Example ${pick(ctx, WORDS)} ${pick(ctx, WORDS)}`;
+  if (lower === 'id' || lower.endsWith('id')) return `${lower.replace(/id$/, '') || 'id'}_${Math.floor(ctx.random() * 90000) + 10000}`;
+  if (lower.endsWith('token')) return uuid(ctx).replace(/-/g, '');
+  return undefined;
+}
+
+function fitLength(value, schema, ctx) {
+  let result = String(value);
+  const min = schema.minLength ?? 0;
+  const max = schema.maxLength ?? Infinity;
+  while (result.length < min) result += pick(ctx, WORDS);
+  if (result.length > max) result = result.slice(0, max);
+  return result;
+}
+
+function typeOf(schema) {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') || 'null' : schema.type;
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+function pick(ctx, list) {
+  return list[Math.floor(ctx.random() * list.length)];
+}
+
+// A date-time within 2024–2025, so examples do not drift with the current date
+function isoDate(ctx) {
+  const start = Date.UTC(2024, 0, 1);
+  const span = 2 * 365 * 24 * 60 * 60;
+  return new Date(start + Math.floor(ctx.random() * span) * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function uuid(ctx) {
+  const hex = Array.from({ length: 32 }, () => Math.floor(ctx.random() * 16).toString(16));
+  hex[12] = '4';
+  hex[16] = '89ab'[Math.floor(ctx.random() * 4)];
+  const s = hex.join('');
+  return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+}
+
+function decimals(step) {
+  const text = String(step);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
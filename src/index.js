@@ -10,13 +10,28 @@
  *     - apidog_export_spec         → Export full OpenAPI spec
  *     - apidog_list_endpoints      → List all endpoints (filterable)
  *     - apidog_get_endpoint        → Get full details of a specific endpoint
- *     - apidog_search_endpoints    → Fuzzy search by path/summary/tag
+ *     - apidog_search_endpoints    → Typo-tolerant search with field qualifiers (tag:, param:, ...) and paging
+ *     - apidog_diff_spec           → Diff a local OpenAPI spec against the project
+ *     - apidog_lint_spec           → Check documentation quality with configurable rules
+ *     - apidog_check_refs          → Find dangling $refs and orphaned schemas
+ *     - apidog_deprecation_report  → Deprecated endpoints with sunset dates (overdue first)
+ *     - apidog_changelog           → Markdown/JSON changelog between two spec states
+ *     - apidog_route_coverage      → Compare a route manifest with the documented endpoints
+ *     - apidog_check_traffic       → Check recorded traffic (HAR/JSONL) against the documented schemas
+ *     - apidog_generate_typescript → Generate TypeScript types and a typed fetch client into a directory
  * 
  *   WRITE:
  *     - apidog_upsert_endpoint     → Create or update a single endpoint (with diff)
  *     - apidog_upsert_endpoints    → Batch create/update multiple endpoints
  *     - apidog_delete_endpoint     → Remove an endpoint
+ *     - apidog_move_endpoint       → Change an endpoint's path/method (or a whole prefix)
+ *     - apidog_set_status          → Move selected endpoints to a new status
+ *     - apidog_assign_maintainer   → Assign a maintainer to selected endpoints
+ *     - apidog_generate_examples   → Generate request/response examples from schemas (seeded)
+ *     - apidog_deprecate_endpoint  → Deprecate an endpoint with sunset date and replacement
  *     - apidog_upsert_schema       → Create or update a component schema
+ *     - apidog_delete_schemas      → Remove orphaned component schemas
+ *     - apidog_rename_schema       → Rename a schema and rewrite every $ref to it
  *     - apidog_import_spec         → Import a full or partial OpenAPI spec
  * 
  *   ORGANIZE:
@@ -24,9 +39,30 @@
  *     - apidog_propose_reorganization → Propose better folder organization (dry-run)
  *     - apidog_apply_reorganization   → Apply a validated reorganization plan
  * 
+ *   HISTORY:
+ *     - apidog_list_snapshots      → List local pre-write snapshots
+ *     - apidog_diff_snapshot       → Diff a snapshot against the live spec
+ *     - apidog_rollback            → Restore a snapshot (whole or selected items)
+ * 
+ *   PROJECTS:
+ *     - apidog_list_projects       → List configured projects
+ *     - apidog_copy_endpoint       → Copy an endpoint (and its schemas) between projects
+ *     - apidog_copy_schema         → Copy a schema (and its dependencies) between projects
+ * 
+ * Commands:
+ *   apidog-sync-mcp              → run the MCP server over stdio
+ *   apidog-sync-mcp mock         → serve the spec on localhost as a mock server (see runMock)
+ *
  * Configuration:
  *   APIDOG_ACCESS_TOKEN  — env or --access-token=xxx
  *   APIDOG_PROJECT_ID    — env or --project-id=xxx
+ *   APIDOG_PROJECTS_FILE — env or --projects-file=path (JSON registry of named projects, replaces APIDOG_PROJECT_ID)
+ *   APIDOG_CACHE_TTL     — env or --cache-ttl=60 (seconds to reuse an export, 0 disables)
+ *   APIDOG_SNAPSHOT_DIR  — env or --snapshot-dir=path (default ~/.apidog-sync-mcp/snapshots, one subdirectory per project)
+ *   APIDOG_SNAPSHOT_LIMIT — env or --snapshot-limit=50 (snapshots kept per project, 0 keeps all)
+ *   APIDOG_ON_CONFLICT   — env or --on-conflict=rebase|abort|off (when the project changed between export and import)
+ *   APIDOG_TIMEOUT       — env or --timeout=60 (seconds per Apidog request)
+ *   APIDOG_MAX_RETRIES   — env or --max-retries=3 (retries for timeouts, 429 and 5xx)
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -35,8 +71,47 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { readFileSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
 import { ApidogClient } from './apidog-client.js';
-import { deepDiff, formatDiff } from './diff.js';
+import {
+  buildChangeSet,
+  classifySpecChanges,
+  countBySeverity,
+  deepDiff,
+  diffSpecs,
+  formatDiff,
+  isApidogExtension,
+} from './diff.js';
+import { CONFLICT_STRATEGIES, overlayPartialSpec } from './concurrency.js';
+import { ProjectRegistry } from './project-registry.js';
+import {
+  collectReferencedComponents,
+  collectReferencedSchemas,
+  dereference,
+  findDanglingRefs,
+  findOrphanedSchemas,
+  findSchemaUsages,
+  rewriteRefs,
+  schemaRef,
+} from './refs.js';
+import { LINT_RULES, lintSpec } from './linter.js';
+import { applyMoves, planMoves } from './endpoint-mover.js';
+import { SELECTION_PROPERTIES, findMissingEndpoints, hasSelection, scopeSpec, selectEndpoints } from './endpoint-selector.js';
+import { SEARCH_QUALIFIERS, searchEndpoints } from './endpoint-search.js';
+import { DEFAULT_STATUS_TRANSITIONS, STATUSES, isTransitionAllowed } from './status-workflow.js';
+import { CHANGELOG_GROUPINGS, buildChangelog, renderChangelogMarkdown } from './changelog.js';
+import { DEPRECATION_EXTENSION, deprecateOperation, deprecationReport } from './deprecation.js';
+import { loadRouteManifest, parseRouteManifest, routeCoverage } from './route-coverage.js';
+import { MODULE_GROUPINGS, generateTypeScript, writeGeneratedFiles } from './typescript-generator.js';
+import { checkTraffic, loadTraffic } from './traffic-check.js';
+import { addOperationExamples, createRandom } from './example-generator.js';
+import { createMockServer } from './mock-server.js';
+import { normalizeOperation, validateOperation } from './operation-validator.js';
+import { SnapshotStore } from './snapshot-store.js';
+import { loadSpec, writeSpecFile } from './spec-loader.js';
 import {
   analyzeFolders,
   proposeReorganization,
@@ -50,31 +125,175 @@ function getConfig() {
   const args = process.argv.slice(2);
   let accessToken = process.env.APIDOG_ACCESS_TOKEN;
   let projectId = process.env.APIDOG_PROJECT_ID;
+  let projectsFile = process.env.APIDOG_PROJECTS_FILE;
+  let cacheTtl = process.env.APIDOG_CACHE_TTL ?? '60';
+  let snapshotDir = process.env.APIDOG_SNAPSHOT_DIR;
+  let snapshotLimit = process.env.APIDOG_SNAPSHOT_LIMIT ?? '50';
+  let onConflict = process.env.APIDOG_ON_CONFLICT ?? 'rebase';
+  let timeout = process.env.APIDOG_TIMEOUT ?? '60';
+  let maxRetries = process.env.APIDOG_MAX_RETRIES ?? '3';
 
   for (const arg of args) {
     if (arg.startsWith('--access-token=')) accessToken = arg.split('=').slice(1).join('=');
     if (arg.startsWith('--project-id=')) projectId = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--projects-file=')) projectsFile = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--cache-ttl=')) cacheTtl = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--snapshot-dir=')) snapshotDir = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--snapshot-limit=')) snapshotLimit = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--on-conflict=')) onConflict = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--timeout=')) timeout = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--max-retries=')) maxRetries = arg.split('=').slice(1).join('=');
+  }
+
+  const { projects, defaultProject } = projectsFile
+    ? loadProjectsFile(projectsFile, accessToken)
+    : singleProject(accessToken, projectId);
+
+  const cacheTtlSeconds = Number(cacheTtl);
+  if (!Number.isFinite(cacheTtlSeconds) || cacheTtlSeconds < 0) {
+    throw new Error(`APIDOG_CACHE_TTL must be a non-negative number of seconds, got "${cacheTtl}"`);
+  }
+
+  const maxSnapshots = Number(snapshotLimit);
+  if (!Number.isInteger(maxSnapshots) || maxSnapshots < 0) {
+    throw new Error(`APIDOG_SNAPSHOT_LIMIT must be a non-negative integer, got "${snapshotLimit}"`);
+  }
+
+  const timeoutSeconds = Number(timeout);
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds <= 0) {
+    throw new Error(`APIDOG_TIMEOUT must be a positive number of seconds, got "${timeout}"`);
+  }
+
+  const retries = Number(maxRetries);
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`APIDOG_MAX_RETRIES must be a non-negative integer, got "${maxRetries}"`);
+  }
+
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new Error(`APIDOG_ON_CONFLICT must be one of ${CONFLICT_STRATEGIES.join(', ')}, got "${onConflict}"`);
   }
 
+  return {
+    projects,
+    defaultProject,
+    cacheTtlMs: cacheTtlSeconds * 1000,
+    snapshotDir: snapshotDir || join(homedir(), '.apidog-sync-mcp', 'snapshots'),
+    maxSnapshots,
+    conflictStrategy: onConflict,
+    timeoutMs: timeoutSeconds * 1000,
+    maxRetries: retries,
+  };
+}
+
+function singleProject(accessToken, projectId) {
   if (!accessToken) throw new Error('APIDOG_ACCESS_TOKEN is required');
   if (!projectId) throw new Error('APIDOG_PROJECT_ID is required');
+  return { projects: { default: { projectId, accessToken, lint: {} } }, defaultProject: 'default' };
+}
+
+/**
+ * Project registry file:
+ *   {
+ *     "defaultProject": "backend",
+ *     "projects": {
+ *       "backend":  { "projectId": "123456", "accessToken": "...", "lint": { "missing-examples": "off" } },
+ *       "frontend": { "projectId": "654321", "accessTokenEnv": "APIDOG_FRONTEND_TOKEN" }
+ *     }
+ *   }
+ * Projects without a token fall back to APIDOG_ACCESS_TOKEN.
+ * lint holds per-project rule overrides for apidog_lint_spec.
+ * defaultProject defaults to the first project.
+ */
+function loadProjectsFile(filePath, fallbackToken) {
+  let registry;
+  try {
+    registry = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read APIDOG_PROJECTS_FILE "${filePath}": ${error.message}`);
+  }
+
+  const projects = {};
+  for (const [name, entry] of Object.entries(registry.projects || {})) {
+    const accessToken = entry.accessToken
+      || (entry.accessTokenEnv && process.env[entry.accessTokenEnv])
+      || fallbackToken;
+    if (!entry.projectId) throw new Error(`Project "${name}" is missing projectId`);
+    if (!accessToken) throw new Error(`Project "${name}" has no access token (set accessToken, accessTokenEnv or APIDOG_ACCESS_TOKEN)`);
+    projects[name] = {
+      projectId: String(entry.projectId),
+      accessToken,
+      lint: entry.lint || {},
+      ...(entry.statusTransitions && { statusTransitions: entry.statusTransitions }),
+    };
+  }
+  if (Object.keys(projects).length === 0) {
+    throw new Error(`APIDOG_PROJECTS_FILE "${filePath}" defines no projects`);
+  }
 
-  return { accessToken, projectId };
+  return { projects, defaultProject: registry.defaultProject || Object.keys(projects)[0] };
 }
 
 // ---------------------------------------------------------------------------
 // Tool definitions
 // ---------------------------------------------------------------------------
+const REFRESH_PROPERTY = {
+  type: 'boolean',
+  default: false,
+  description: 'Bypass the export cache and fetch a fresh spec from Apidog',
+};
+
+const DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  default: false,
+  description: 'Export, merge and diff, but do not import. Returns the full change set so it can be reviewed first.',
+};
+
+const NORMALIZE_PROPERTY = {
+  type: 'boolean',
+  default: true,
+  description: 'Fill in missing x-apidog-orders, x-apidog-status and x-apidog-folder before validating. Set to false to send operations exactly as given.',
+};
+
+const DRY_RUN_NOTICE = 'THIS IS A DRY-RUN. Nothing was imported. Present the change set to the user and call again without dryRun to apply it.';
+
+const PROJECT_PROPERTY = {
+  type: 'string',
+  description: 'Optional: name of the project to use (see apidog_list_projects). Defaults to the default project.',
+};
+
+const BLOCK_BREAKING_PROPERTY = {
+  type: 'boolean',
+  default: false,
+  description: 'Refuse the write if it contains breaking changes (removed parameters/fields/status codes, type changes, narrowed enums, new required inputs)',
+};
+
+const SPEC_SOURCE_PROPERTY = {
+  type: 'object',
+  properties: {
+    snapshotId: { type: 'string', description: 'Snapshot id from apidog_list_snapshots' },
+    specPath: { type: 'string', description: 'Path to a local OpenAPI JSON/YAML file or directory of split files' },
+    live: { type: 'boolean', description: 'The current spec exported from Apidog' },
+  },
+};
+
 const TOOLS = [
   // ── READ TOOLS ──────────────────────────────────────────────────────────
   {
     name: 'apidog_export_spec',
-    description: 'Export the full OpenAPI spec from Apidog including all endpoints, schemas, tags, and Apidog extensions (x-apidog-folder, x-apidog-status, x-apidog-maintainer). Use this to understand the current documentation state before making changes.',
+    description: `Export the OpenAPI spec from Apidog including endpoints, schemas, tags, and Apidog extensions (x-apidog-folder, x-apidog-status, x-apidog-maintainer). Use this to understand the current documentation state before making changes. With outputPath, the spec is written to a local JSON or YAML file and only a summary is returned.
+
+On large projects, export only what you need: folders, tags, paths or endpoints select a subset (criteria combine with AND), and only the components those endpoints reference are included. endpointIds / folderIds narrow the export on Apidog's side using Apidog's numeric IDs; so does a selection by tags alone.`,
     inputSchema: {
       type: 'object',
       properties: {
+        ...SELECTION_PROPERTIES,
+        endpointIds: { type: 'array', items: { type: 'number' }, description: 'Optional: Apidog endpoint IDs to export' },
+        folderIds: { type: 'array', items: { type: 'number' }, description: 'Optional: Apidog folder IDs to export' },
         oasVersion: { type: 'string', enum: ['3.0', '3.1'], default: '3.1', description: 'OpenAPI version' },
         includeExtensions: { type: 'boolean', default: true, description: 'Include x-apidog-* extensions' },
+        outputPath: { type: 'string', description: 'Optional: write the spec to this local file instead of returning it (.yaml/.yml → YAML, otherwise JSON)' },
+        format: { type: 'string', enum: ['json', 'yaml'], description: 'Optional: override the file format inferred from outputPath' },
+        refresh: REFRESH_PROPERTY,
       },
     },
   },
@@ -88,31 +307,171 @@ const TOOLS = [
         filterPath: { type: 'string', description: 'Filter by path substring' },
         filterFolder: { type: 'string', description: 'Filter by folder (substring match)' },
         filterStatus: { type: 'string', description: 'Filter by status (e.g. released, deprecated)' },
+        refresh: REFRESH_PROPERTY,
       },
     },
   },
   {
     name: 'apidog_get_endpoint',
-    description: 'Get full details of a specific endpoint by method and path. Returns the complete operation object including parameters, request body, responses, examples, and all Apidog extensions. Also returns any referenced component schemas for context. ALWAYS use this before updating an endpoint to understand the existing format.',
+    description: 'Get full details of a specific endpoint by method and path. Returns the complete operation object including parameters, request body, responses, examples, and all Apidog extensions. Also returns every component it references, followed transitively (Invoice → LineItem → Money), including shared parameters, responses and request bodies. ALWAYS use this before updating an endpoint to understand the existing format.',
     inputSchema: {
       type: 'object',
       properties: {
         method: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'] },
         path: { type: 'string', description: 'Endpoint path, e.g. /api/v1/users/{id}' },
+        dereference: { type: 'boolean', description: 'Return the operation with every $ref inlined instead of the raw operation plus referenced components. Easier to read, but do NOT send it back as an update — it would replace shared components with copies. Circular refs are left as $ref. Default: false.' },
+        refresh: REFRESH_PROPERTY,
       },
       required: ['method', 'path'],
     },
   },
   {
     name: 'apidog_search_endpoints',
-    description: 'Search endpoints by keyword across path, summary, description, tags, and folder. Returns matching endpoints ranked by relevance. Use this when you are not sure of the exact path — for example, the user says "the peppol endpoint" and you need to find it.',
+    description: `Search endpoints by keyword. Matches path, summary, operationId, tags, folder, description, parameter names and the property names of request/response schemas, tolerating typos ("invoce" finds invoices) and splitting camelCase ("invoice id" finds invoiceId). Results are ranked by relevance, with the fields that matched. Use this when you are not sure of the exact path — for example, the user says "the peppol endpoint" and you need to find it.
+
+Field qualifiers narrow the results: tag:billing, folder:Billing, status:released, maintainer:alice, method:post, path:/invoices, param:invoiceId, field:vatNumber, operationId:createInvoice, deprecated:true. Quote values with spaces (folder:"Billing/Invoices"); prefix a qualifier or a word with - to exclude (-status:deprecated, -pdf). A query of only qualifiers lists every endpoint that matches them.`,
     inputSchema: {
       type: 'object',
       properties: {
-        query: { type: 'string', description: 'Search keyword (searches path, summary, description, tags, folder)' },
+        query: { type: 'string', description: 'Keywords and/or field qualifiers, e.g. "invoice pdf" or "tag:billing status:released param:invoiceId"' },
         method: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete'], description: 'Optional: filter by HTTP method' },
+        status: { type: 'string', enum: STATUSES, description: 'Optional: filter by status (x-apidog-status)' },
+        maintainer: { type: 'string', description: 'Optional: filter by maintainer (substring)' },
+        deprecated: { type: 'boolean', description: 'Optional: only deprecated (true) or only non-deprecated (false) endpoints' },
+        offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of results to skip (for paging)' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 15, description: 'Maximum number of results to return' },
+        refresh: REFRESH_PROPERTY,
+      },
+    },
+  },
+  {
+    name: 'apidog_diff_spec',
+    description: 'Compare a local OpenAPI spec (e.g. generated by Scramble) with the Apidog project without importing anything. Returns endpoints and schemas only in the local spec, only in Apidog, and changed (with per-item diff). Apidog-only noise (x-run-in-apidog, x-apidog-* extensions) is ignored by default. Provide either spec or specPath.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        spec: { type: 'object', description: 'OpenAPI 3.x spec object' },
+        specPath: { type: 'string', description: 'Path to a local OpenAPI JSON/YAML file, or a directory of split files with external $refs (relative to the server working directory)' },
+        compareApidogExtensions: { type: 'boolean', default: false, description: 'Also compare x-apidog-* extensions (folders, statuses, orders, ...)' },
+        refresh: REFRESH_PROPERTY,
+      },
+    },
+  },
+
+  {
+    name: 'apidog_lint_spec',
+    description: `Check documentation quality across the project (or one folder/tag) and report violations with severity and location.
+
+Rules: ${Object.entries(LINT_RULES).map(([n, r]) => `${n} (${r.severity}) — ${r.description}`).join('; ')}.
+
+Rule severities come from the project's lint config and can be overridden per call with rules, e.g. { "missing-examples": "off", "naming-casing": { "severity": "error", "options": { "casing": "camelCase" } } }.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        folder: { type: 'string', description: 'Optional: only lint endpoints in this folder (and its sub-folders)' },
+        tag: { type: 'string', description: 'Optional: only lint endpoints with this tag' },
+        rules: { type: 'object', description: 'Optional: rule overrides — severity ("error", "warning", "info", "off") or { severity, options }' },
+        minSeverity: { type: 'string', enum: ['error', 'warning', 'info'], default: 'info', description: 'Only report violations at or above this severity' },
+        limit: { type: 'integer', default: 200, description: 'Maximum number of violations to return (counts always cover all)' },
+        refresh: REFRESH_PROPERTY,
+      },
+    },
+  },
+
+  {
+    name: 'apidog_check_refs',
+    description: 'Check $ref integrity across the project. Reports dangling refs (pointing to components that do not exist) with their location, and orphaned schemas that no endpoint uses — refs are followed transitively, so a schema only used by other orphans is an orphan too. Use apidog_delete_schemas to clean orphans up.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refresh: REFRESH_PROPERTY,
+      },
+    },
+  },
+
+  {
+    name: 'apidog_deprecation_report',
+    description: 'List every deprecated endpoint with its deprecation date, sunset date, days until sunset and replacement. Overdue endpoints (sunset date passed) come first — those are ready to be removed. Also flags endpoints where deprecated and x-apidog-status disagree.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        overdueOnly: { type: 'boolean', default: false, description: 'Only list endpoints past their sunset date' },
+        refresh: REFRESH_PROPERTY,
+      },
+    },
+  },
+
+  {
+    name: 'apidog_changelog',
+    description: `Build a changelog between two spec states — for release notes or CI. Each side is a local snapshot ({ snapshotId }), a local file ({ specPath }) or the live Apidog spec ({ live: true }); "to" defaults to live.
+
+Lists endpoints added, removed, deprecated and changed (with the parameter and field changes, breaking ones marked), grouped by folder or tag, and schemas added, removed and changed. Documentation-only changes are counted, not listed, in the Markdown.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { ...SPEC_SOURCE_PROPERTY, description: 'The older spec: { snapshotId }, { specPath } or { live: true }' },
+        to: { ...SPEC_SOURCE_PROPERTY, description: 'The newer spec (default: { live: true })' },
+        groupBy: { type: 'string', enum: CHANGELOG_GROUPINGS, default: 'folder', description: 'Group endpoints by x-apidog-folder or by their first tag' },
+        format: { type: 'string', enum: ['markdown', 'json', 'both'], default: 'both', description: 'markdown returns the Markdown text, json the structured changelog, both the structured changelog with a markdown field' },
+        title: { type: 'string', default: 'API changelog', description: 'Heading of the Markdown changelog' },
+        outputPath: { type: 'string', description: 'Optional: write the changelog to this local file instead of returning it (.json → JSON, otherwise Markdown)' },
+        refresh: REFRESH_PROPERTY,
+      },
+      required: ['from'],
+    },
+  },
+
+  {
+    name: 'apidog_route_coverage',
+    description: `Compare the application's real routes with the endpoints documented in Apidog. Reports routes missing from Apidog, documented endpoints with no matching route (stale or not yet built), and the coverage percentage overall and per folder (lowest first).
+
+Accepts a route manifest as a local file (routesPath) or inline (routes): the JSON from \`php artisan route:list --json\`, an Express route dump ([{ path, methods }]), a list of "METHOD /path" strings or { method, path } objects, or a text file with one "METHOD /path" per line. Path parameters match by position, so {id}, {user?}, :id and <int:id> are the same. HEAD and OPTIONS routes are ignored.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        routesPath: { type: 'string', description: 'Path to a local route manifest (JSON, or a text file with one "METHOD /path" per line)' },
+        routes: { type: 'array', description: 'Inline route manifest: "METHOD /path" strings or { method, path } / { method, uri } objects' },
+        include: { type: 'array', items: { type: 'string' }, description: 'Optional: only check routes (and endpoints) under these path globs, e.g. ["/api/**"]' },
+        ignore: { type: 'array', items: { type: 'string' }, description: 'Optional: path globs to leave out, e.g. ["/api/health", "/sanctum/**"]' },
+        refresh: REFRESH_PROPERTY,
+      },
+    },
+  },
+
+  {
+    name: 'apidog_check_traffic',
+    description: `Check recorded traffic against the documented contract, to find where the docs are wrong. Each exchange is matched to an endpoint by method and templated path, and checked for undocumented status codes, missing / invalid / undocumented parameters, and request and response bodies that do not match the schema (missing fields, extra fields, type mismatches, enum and other constraint violations). Issues are counted per endpoint; exchanges that match no endpoint are listed separately.
+
+Accepts a HAR file (browser dev tools, proxies) or JSONL with one exchange per line: { method, url, status, requestHeaders, requestBody, responseHeaders, responseBody } or { request: { method, url, headers, body }, response: { status, headers, body } }.
+
+With proposePatches: true, the response also contains updated operations (undocumented status codes and request bodies, extra fields) and schemas (extra fields) built from the observed values. Review them with the user, then apply with apidog_upsert_endpoint / apidog_upsert_schema. Type mismatches are reported, never patched.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        trafficPath: { type: 'string', description: 'Path to a local .har or .jsonl file' },
+        proposePatches: { type: 'boolean', default: false, description: 'Also return operation and schema updates that would make the docs match the traffic' },
+        refresh: REFRESH_PROPERTY,
+      },
+      required: ['trafficPath'],
+    },
+  },
+
+  {
+    name: 'apidog_generate_typescript',
+    description: `Generate TypeScript from the Apidog spec into a local directory: an interface per component schema (schemas.ts), a small fetch-based ApiClient (client.ts), one module per folder or tag with Params / Body / Response types and a typed function per operation, and an index.ts re-exporting everything (modules as namespaces).
+
+Usage in the frontend: const api = new ApiClient({ baseUrl }); const user = await users.getUsersById(api, { id: 1 });
+
+Output is deterministic, so regenerating gives a clean diff. Generated files carry a header; stale generated files are removed, other files in the directory are never touched.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        outputDir: { type: 'string', description: 'Local directory to write the .ts files to (e.g. "src/api/generated")' },
+        groupBy: { type: 'string', enum: MODULE_GROUPINGS, default: 'folder', description: 'One module per folder, per first tag, or a single endpoints.ts' },
+        ...SELECTION_PROPERTIES,
+        refresh: REFRESH_PROPERTY,
       },
-      required: ['query'],
+      required: ['outputDir'],
     },
   },
 
@@ -129,9 +488,12 @@ WORKFLOW (validated in POC):
 5. Imports back to Apidog with OVERWRITE_EXISTING
 6. Verifies the update landed correctly
 
+Pass dryRun: true to stop after step 4 and get the change set without importing.
+The response lists breakingChanges first. Pass blockBreaking: true to refuse the write if there are any.
+
 IMPORTANT: The operation object must match the Apidog OpenAPI format including x-apidog-* extensions. Always call apidog_get_endpoint first on a similar endpoint to learn the exact format used in this project.
 
-The operation must include x-apidog-orders and x-apidog-ignore-properties arrays in schema objects to match the existing format. See existing endpoints for reference.`,
+The operation is validated against the OpenAPI schema before anything is imported; invalid operations are refused with the path of each error. Missing x-apidog-orders arrays, x-apidog-status and x-apidog-folder are filled in automatically (status and folder from the existing endpoint when updating) and listed under "normalized".`,
     inputSchema: {
       type: 'object',
       properties: {
@@ -139,15 +501,18 @@ The operation must include x-apidog-orders and x-apidog-ignore-properties arrays
         path: { type: 'string', description: 'Endpoint path' },
         operation: {
           type: 'object',
-          description: 'Full OpenAPI operation object. Must include: summary, description, tags, parameters, requestBody (if applicable), responses, security, x-apidog-folder, x-apidog-status. Match the exact format of existing endpoints.',
+          description: 'Full OpenAPI operation object. Should include: summary, description, tags, parameters, requestBody (if applicable), responses, security, x-apidog-folder, x-apidog-status. Match the exact format of existing endpoints.',
         },
+        normalize: NORMALIZE_PROPERTY,
+        dryRun: DRY_RUN_PROPERTY,
+        blockBreaking: BLOCK_BREAKING_PROPERTY,
       },
       required: ['method', 'path', 'operation'],
     },
   },
   {
     name: 'apidog_upsert_endpoints',
-    description: 'Batch create or update multiple endpoints in a single import. More efficient than calling apidog_upsert_endpoint multiple times. Each entry needs method, path, and the full operation object.',
+    description: 'Batch create or update multiple endpoints in a single import. More efficient than calling apidog_upsert_endpoint multiple times. Each entry needs method, path, and the full operation object. Operations are normalized and validated like in apidog_upsert_endpoint; if any is invalid, nothing is imported.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -164,6 +529,9 @@ The operation must include x-apidog-orders and x-apidog-ignore-properties arrays
           },
           description: 'Array of endpoints to upsert',
         },
+        normalize: NORMALIZE_PROPERTY,
+        dryRun: DRY_RUN_PROPERTY,
+        blockBreaking: BLOCK_BREAKING_PROPERTY,
       },
       required: ['endpoints'],
     },
@@ -176,6 +544,95 @@ The operation must include x-apidog-orders and x-apidog-ignore-properties arrays
       properties: {
         method: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'] },
         path: { type: 'string' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['method', 'path'],
+    },
+  },
+  {
+    name: 'apidog_move_endpoint',
+    description: `Move an endpoint to a new path and/or method in a single import, keeping its full content (folder, status, maintainer, examples, ...). Path parameters are renamed by position to match the new template, e.g. /api/v1/user/{id} → /api/v1/users/{userId} renames "id" to "userId" in parameters.
+
+Two modes:
+- Single: method + path, with newPath and/or newMethod
+- Bulk: fromPrefix + toPrefix moves every endpoint under the prefix, e.g. "/api/v1/billing/*" → "/api/v2/billing/*" (optionally only one method)
+
+Refuses if a target endpoint already exists.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        method: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'], description: 'Single mode: current method. Bulk mode: optional method filter.' },
+        path: { type: 'string', description: 'Single mode: current path' },
+        newPath: { type: 'string', description: 'Single mode: new path' },
+        newMethod: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'], description: 'Single mode: new method' },
+        fromPrefix: { type: 'string', description: 'Bulk mode: path prefix to move, e.g. "/api/v1/billing" or "/api/v1/billing/*"' },
+        toPrefix: { type: 'string', description: 'Bulk mode: replacement prefix, e.g. "/api/v2/billing"' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+    },
+  },
+  {
+    name: 'apidog_set_status',
+    description: `Move endpoints to a new status (x-apidog-status) in a single import, e.g. every endpoint in the Billing folder from developing to testing. Select endpoints by folders, tags, paths (globs) and/or an explicit endpoints list — criteria combine with AND, at least one is required.
+
+Statuses: ${STATUSES.join(', ')}. The usual flow is designing → developing → testing → released.
+With enforceTransitions: true, the whole change is refused if any endpoint would make a transition the project's workflow does not allow (e.g. designing → released).`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SELECTION_PROPERTIES,
+        status: { type: 'string', enum: STATUSES, description: 'New status' },
+        fromStatus: { type: 'string', enum: STATUSES, description: 'Optional: only change endpoints currently in this status' },
+        enforceTransitions: { type: 'boolean', default: false, description: 'Refuse transitions the workflow does not allow' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['status'],
+    },
+  },
+  {
+    name: 'apidog_assign_maintainer',
+    description: 'Assign a maintainer (x-apidog-maintainer) to endpoints in a single import. Select endpoints by folders, tags, paths (globs) and/or an explicit endpoints list — criteria combine with AND, at least one is required. Use the maintainer value format already used in the project (see apidog_list_endpoints).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SELECTION_PROPERTIES,
+        maintainer: { type: 'string', description: 'Maintainer to assign' },
+        onlyUnassigned: { type: 'boolean', default: false, description: 'Only assign endpoints that have no maintainer yet' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['maintainer'],
+    },
+  },
+  {
+    name: 'apidog_generate_examples',
+    description: `Generate examples from the schemas of request bodies and responses, and write them in a single import. $refs are resolved; examples respect types, formats, enums, min/max and required fields, and property names make them realistic (email, city, created_at, ...). readOnly properties are left out of requests, writeOnly ones out of responses.
+
+Select endpoints by folders, tags, paths (globs) and/or an explicit endpoints list; without a selection every endpoint is covered. By default only media types without an example get one. The same seed always produces the same examples — the seed used is returned, pass it again to reproduce a dry run.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SELECTION_PROPERTIES,
+        onlyMissing: { type: 'boolean', default: true, description: 'Only add examples where there is none. Set to false to replace existing examples.' },
+        seed: { type: 'integer', description: 'Optional: seed for reproducible examples (random when omitted)' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+    },
+  },
+  {
+    name: 'apidog_deprecate_endpoint',
+    description: `Deprecate an endpoint in a single import. Sets deprecated: true and x-apidog-status "deprecated", records the sunset date and replacement in x-apidog-deprecation, and puts a notice at the top of the description. Optionally documents Deprecation / Sunset headers on every response.
+
+Calling it again on a deprecated endpoint updates the sunset date or replacement. Use apidog_deprecation_report to see what is overdue for removal.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        method: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'] },
+        path: { type: 'string', description: 'Endpoint path' },
+        sunset: { type: 'string', description: 'Optional: date the endpoint will be removed, YYYY-MM-DD' },
+        replacement: { type: 'string', description: 'Optional: endpoint to use instead, e.g. "GET /api/v2/users/{id}"' },
+        reason: { type: 'string', description: 'Optional: short explanation added to the notice' },
+        addHeaders: { type: 'boolean', default: false, description: 'Document Deprecation and Sunset response headers' },
+        dryRun: DRY_RUN_PROPERTY,
       },
       required: ['method', 'path'],
     },
@@ -188,21 +645,50 @@ The operation must include x-apidog-orders and x-apidog-ignore-properties arrays
       properties: {
         name: { type: 'string', description: 'Schema name, e.g. "User", "Invoice"' },
         schema: { type: 'object', description: 'JSON Schema object' },
+        dryRun: DRY_RUN_PROPERTY,
+        blockBreaking: BLOCK_BREAKING_PROPERTY,
       },
       required: ['name', 'schema'],
     },
   },
+  {
+    name: 'apidog_delete_schemas',
+    description: 'Delete component schemas in a single import. Only orphaned schemas (see apidog_check_refs) can be deleted — the call is refused if any selected schema is still referenced by an endpoint or a schema that is not also being deleted.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        names: { type: 'array', items: { type: 'string' }, description: 'Schema names to delete' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['names'],
+    },
+  },
+  {
+    name: 'apidog_rename_schema',
+    description: 'Rename a component schema and rewrite every $ref to it across endpoints, webhooks and other components, in a single import. Refuses if the new name is already taken. Reports every endpoint and component that was touched.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'Current schema name, e.g. "InvoiceDto"' },
+        to: { type: 'string', description: 'New schema name, e.g. "Invoice"' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['from', 'to'],
+    },
+  },
   {
     name: 'apidog_import_spec',
-    description: 'Import a full or partial OpenAPI spec. If mergeWithExisting is true (default), exports current spec first and merges. Use for bulk updates or importing from external sources like Scramble.',
+    description: 'Import a full or partial OpenAPI spec. If mergeWithExisting is true (default), exports current spec first and merges. Use for bulk updates or importing from external sources like Scramble. Provide either spec or specPath — prefer specPath for generated specs so they never pass through the conversation.',
     inputSchema: {
       type: 'object',
       properties: {
         spec: { type: 'object', description: 'OpenAPI 3.x spec object' },
+        specPath: { type: 'string', description: 'Path to a local OpenAPI JSON/YAML file, or a directory of split files with external $refs (bundled before import)' },
         mergeWithExisting: { type: 'boolean', default: true, description: 'Merge with current spec (true) or replace (false)' },
         overwriteBehavior: { type: 'string', enum: ['OVERWRITE_EXISTING', 'KEEP_EXISTING', 'ALWAYS_ADD'], default: 'OVERWRITE_EXISTING' },
+        dryRun: DRY_RUN_PROPERTY,
+        blockBreaking: BLOCK_BREAKING_PROPERTY,
       },
-      required: ['spec'],
     },
   },
 
@@ -210,7 +696,12 @@ The operation must include x-apidog-orders and x-apidog-ignore-properties arrays
   {
     name: 'apidog_analyze_folders',
     description: 'Analyze the current folder structure of all endpoints. Returns folder tree, endpoint counts per folder, and endpoints with no folder assigned. Use this as a first step before proposing reorganization.',
-    inputSchema: { type: 'object', properties: {} },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refresh: REFRESH_PROPERTY,
+      },
+    },
   },
   {
     name: 'apidog_propose_reorganization',
@@ -240,6 +731,7 @@ ALWAYS present the plan to the user and ask for confirmation before applying.`,
           type: 'object',
           description: 'Manual overrides: { "/api/v1/admin": "Administration", "/auth": "Authentication" }',
         },
+        refresh: REFRESH_PROPERTY,
       },
     },
   },
@@ -266,40 +758,275 @@ ALWAYS present the plan to the user and ask for confirmation before applying.`,
       required: ['changes'],
     },
   },
+
+  // ── HISTORY TOOLS ───────────────────────────────────────────────────────
+  {
+    name: 'apidog_list_snapshots',
+    description: 'List local snapshots, newest first. A snapshot of the full spec is saved right before every write (upsert, delete, schema, import, reorganization, rollback), with the tool name and a summary of the change.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', default: 20, description: 'Maximum number of snapshots to return' },
+      },
+    },
+  },
+  {
+    name: 'apidog_diff_snapshot',
+    description: 'Diff a snapshot against the live Apidog spec. Shows endpoints and schemas that only exist in the snapshot, only exist live, and those that changed (with per-item diff). Use this before apidog_rollback to see what a restore would change.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshotId: { type: 'string', description: 'Snapshot id from apidog_list_snapshots' },
+        refresh: REFRESH_PROPERTY,
+      },
+      required: ['snapshotId'],
+    },
+  },
+  {
+    name: 'apidog_rollback',
+    description: `Restore a snapshot into Apidog through the normal import flow.
+
+Without endpoints/schemas, the whole snapshot spec is imported. With endpoints and/or schemas, only those items are restored onto the live spec — items that did not exist in the snapshot are removed.
+
+The live spec is itself snapshotted first, so a rollback can be undone. ALWAYS show the user apidog_diff_snapshot output and get confirmation before calling this.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshotId: { type: 'string', description: 'Snapshot id from apidog_list_snapshots' },
+        endpoints: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              method: { type: 'string' },
+              path: { type: 'string' },
+            },
+            required: ['method', 'path'],
+          },
+          description: 'Optional: restore only these endpoints',
+        },
+        schemas: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional: restore only these component schemas',
+        },
+      },
+      required: ['snapshotId'],
+    },
+  },
+
+  // ── PROJECT TOOLS ───────────────────────────────────────────────────────
+  {
+    name: 'apidog_list_projects',
+    description: 'List the Apidog projects this server is configured for, with their names, project IDs and which one is the default. Pass a name as the "project" argument of any other tool to target that project.',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'apidog_copy_endpoint',
+    description: 'Copy an endpoint from one project to another in a single import on the target. The components it references (transitively) are copied too: schemas, and shared parameters, responses, request bodies, headers and examples. Existing target components that differ are kept unless overwrite is true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sourceProject: { type: 'string', description: 'Project to copy from (defaults to the default project)' },
+        targetProject: { type: 'string', description: 'Project to copy to' },
+        method: { type: 'string', enum: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'] },
+        path: { type: 'string', description: 'Endpoint path in the source project' },
+        targetPath: { type: 'string', description: 'Optional: path in the target project (defaults to the same path)' },
+        includeSchemas: { type: 'boolean', default: true, description: 'Also copy referenced components (schemas, parameters, responses, ...)' },
+        overwrite: { type: 'boolean', default: false, description: 'Overwrite the endpoint and differing components if they already exist in the target' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['targetProject', 'method', 'path'],
+    },
+  },
+  {
+    name: 'apidog_copy_schema',
+    description: 'Copy a component schema from one project to another, along with the schemas it references (transitively). Existing target schemas that differ are kept unless overwrite is true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sourceProject: { type: 'string', description: 'Project to copy from (defaults to the default project)' },
+        targetProject: { type: 'string', description: 'Project to copy to' },
+        name: { type: 'string', description: 'Schema name' },
+        includeReferenced: { type: 'boolean', default: true, description: 'Also copy the schemas it references' },
+        overwrite: { type: 'boolean', default: false, description: 'Overwrite schemas that already exist in the target with different content' },
+        dryRun: DRY_RUN_PROPERTY,
+      },
+      required: ['targetProject', 'name'],
+    },
+  },
 ];
 
+// Every single-project tool accepts an optional project name
+const CROSS_PROJECT_TOOLS = new Set(['apidog_list_projects', 'apidog_copy_endpoint', 'apidog_copy_schema']);
+for (const tool of TOOLS) {
+  if (!CROSS_PROJECT_TOOLS.has(tool.name)) tool.inputSchema.properties.project = PROJECT_PROPERTY;
+}
+
 // ---------------------------------------------------------------------------
-// Tool handlers
+// Helpers
 // ---------------------------------------------------------------------------
-async function handleTool(client, name, args) {
-  switch (name) {
 
-    // ── READ ──────────────────────────────────────────────────────────────
+/**
+ * Resolve a spec given inline (args.spec) or as a local file (args.specPath).
+ */
+async function resolveSpecArg(args) {
+  if (args.spec && args.specPath) throw new Error('Provide either spec or specPath, not both');
+  if (args.spec) return args.spec;
+  if (args.specPath) return loadSpec(args.specPath);
+  throw new Error('Either spec or specPath is required');
+}
 
-    case 'apidog_export_spec': {
-      const spec = await client.exportSpec({
-        oasVersion: args.oasVersion || '3.1',
-        includeExtensions: args.includeExtensions !== false,
-      });
-      return JSON.stringify(spec, null, 2);
+/**
+ * Resolve one side of a comparison: { snapshotId }, { specPath } or { live: true }.
+ * Returns { spec, label } where label describes the source for humans.
+ */
+async function resolveSpecSource(client, source, { refresh = false } = {}) {
+  const given = ['snapshotId', 'specPath', 'live'].filter(key => source?.[key]);
+  if (given.length !== 1) throw new Error('A spec source needs exactly one of snapshotId, specPath or live');
+
+  if (source.snapshotId) {
+    const { meta, spec } = await client.snapshotStore.load(source.snapshotId);
+    return { spec, label: `snapshot ${meta.id} (${meta.createdAt})` };
+  }
+  if (source.specPath) return { spec: await loadSpec(source.specPath), label: source.specPath };
+  return { spec: await client.exportSpec({ includeExtensions: true, refresh }), label: 'Apidog (live)' };
+}
+
+/**
+ * Decide which components to copy into a target project, per type
+ * ({ schemas: {...}, parameters: {...}, ... }).
+ * Components missing from the target are always copied; identical ones are skipped;
+ * differing ones are overwritten only when overwrite is set.
+ * Returns { toCopy: { [type]: {...} }, [type]: { created, overwritten, kept, identical } }.
+ */
+function planComponentCopy(components, targetSpec, overwrite) {
+  const plan = { toCopy: {} };
+
+  for (const [type, entries] of Object.entries(components)) {
+    const existingOfType = targetSpec.components?.[type] || {};
+    const typePlan = { created: [], overwritten: [], kept: [], identical: [] };
+    const toCopy = {};
+
+    for (const [componentName, component] of Object.entries(entries)) {
+      const existing = existingOfType[componentName];
+      if (!existing) {
+        toCopy[componentName] = component;
+        typePlan.created.push(componentName);
+      } else if (deepDiff(existing, component).length === 0) {
+        typePlan.identical.push(componentName);
+      } else if (overwrite) {
+        toCopy[componentName] = component;
+        typePlan.overwritten.push(componentName);
+      } else {
+        typePlan.kept.push(componentName);
+      }
     }
 
-    case 'apidog_list_endpoints': {
-      const spec = await client.exportSpec({ includeExtensions: true });
-      let endpoints = ApidogClient.parseEndpoints(spec);
+    plan[type] = typePlan;
+    if (Object.keys(toCopy).length > 0) plan.toCopy[type] = toCopy;
+  }
 
-      if (args.filterTag) endpoints = endpoints.filter(e => e.tags.includes(args.filterTag));
-      if (args.filterPath) endpoints = endpoints.filter(e => e.path.includes(args.filterPath));
-      if (args.filterFolder) endpoints = endpoints.filter(e => (e.folder || '').includes(args.filterFolder));
-      if (args.filterStatus) endpoints = endpoints.filter(e => e.status === args.filterStatus);
+  return plan;
+}
 
-      const list = endpoints.map(e => ({
-        method: e.method,
-        path: e.path,
-        summary: e.summary,
-        tags: e.tags,
-        folder: e.folder,
+// One type of a planComponentCopy, as reported by the copy tools
+function copyReport({ created, overwritten, kept, identical }) {
+  return { created, overwritten, keptExisting: kept, identical };
+}
+
+/**
+ * Classify what a write changes. Breaking changes are listed individually,
+ * everything else is counted.
+ */
+function assessChanges(beforeSpec, afterSpec) {
+  const classified = classifySpecChanges(beforeSpec, afterSpec);
+  return {
+    breakingChanges: classified
+      .filter(c => c.severity === 'breaking')
+      .map(({ target, reason, path }) => ({ target, reason, path })),
+    changeCounts: countBySeverity(classified),
+  };
+}
+
+/**
+ * blockBreaking guard: throws (aborting the write) if the change set has breaking changes.
+ */
+function assertNoBreakingChanges(beforeSpec, afterSpec) {
+  const { breakingChanges } = assessChanges(beforeSpec, afterSpec);
+  if (breakingChanges.length === 0) return;
+
+  const lines = breakingChanges.map(c => `  - ${c.target}: ${c.reason}${c.path ? ` (${c.path})` : ''}`);
+  throw new Error(
+    `Refusing to import: ${breakingChanges.length} breaking change(s) detected and blockBreaking is set.\n` +
+    `${lines.join('\n')}\n` +
+    'Nothing was imported. Retry without blockBreaking if these changes are intended.'
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Tool handlers
+// ---------------------------------------------------------------------------
+async function handleTool(registry, name, args) {
+  const client = registry.get(args.project);
+
+  switch (name) {
+
+    // ── READ ──────────────────────────────────────────────────────────────
+
+    case 'apidog_export_spec': {
+      const selection = { folders: args.folders, tags: args.tags, paths: args.paths, endpoints: args.endpoints };
+      // A tag-only selection is exported by tag on Apidog's side too
+      const tagsOnly = args.tags?.length > 0 && !hasSelection({ ...selection, tags: [] })
+        && !(args.endpointIds?.length > 0) && !(args.folderIds?.length > 0);
+      const scope = tagsOnly ? { tags: args.tags } : { endpointIds: args.endpointIds, folderIds: args.folderIds };
+      const fullSpec = await client.exportSpec({
+        oasVersion: args.oasVersion || '3.1',
+        includeExtensions: args.includeExtensions !== false,
+        refresh: args.refresh === true,
+        scope,
+      });
+
+      const missing = findMissingEndpoints(fullSpec, args.endpoints);
+      if (missing.length > 0) {
+        // Apidog already narrowed the export, so these may well exist in the project
+        const narrowedBy = Object.keys(scope).filter(key => scope[key]?.length > 0);
+        return JSON.stringify({
+          error: narrowedBy.length > 0
+            ? `Endpoints outside the ${narrowedBy.join('/')} scope: ${missing.join(', ')}`
+            : `Endpoints not found: ${missing.join(', ')}`,
+        });
+      }
+      const scoped = hasSelection(selection) || args.endpointIds?.length > 0 || args.folderIds?.length > 0;
+      const spec = scoped ? scopeSpec(fullSpec, selection) : fullSpec;
+      if (!args.outputPath) return JSON.stringify(spec, null, 2);
+
+      const written = await writeSpecFile(spec, args.outputPath, { format: args.format });
+      return JSON.stringify({
+        success: true,
+        ...written,
+        endpoints: ApidogClient.parseEndpoints(spec).length,
+        schemas: Object.keys(spec.components?.schemas || {}).length,
+      }, null, 2);
+    }
+
+    case 'apidog_list_endpoints': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      let endpoints = ApidogClient.parseEndpoints(spec);
+
+      if (args.filterTag) endpoints = endpoints.filter(e => e.tags.includes(args.filterTag));
+      if (args.filterPath) endpoints = endpoints.filter(e => e.path.includes(args.filterPath));
+      if (args.filterFolder) endpoints = endpoints.filter(e => (e.folder || '').includes(args.filterFolder));
+      if (args.filterStatus) endpoints = endpoints.filter(e => e.status === args.filterStatus);
+
+      const list = endpoints.map(e => ({
+        method: e.method,
+        path: e.path,
+        summary: e.summary,
+        tags: e.tags,
+        folder: e.folder,
         status: e.status,
+        maintainer: e.maintainer,
         deprecated: e.deprecated,
       }));
 
@@ -307,7 +1034,7 @@ async function handleTool(client, name, args) {
     }
 
     case 'apidog_get_endpoint': {
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
       const pathObj = spec.paths?.[args.path];
       if (!pathObj) {
         return JSON.stringify({
@@ -323,141 +1050,353 @@ async function handleTool(client, name, args) {
         });
       }
 
-      // Collect referenced schemas
-      const referencedSchemas = {};
-      const specStr = JSON.stringify(operation);
-      const refs = [...specStr.matchAll(/"#\/components\/schemas\/([^"]+)"/g)].map(m => m[1]);
-      for (const ref of refs) {
-        if (spec.components?.schemas?.[ref]) {
-          referencedSchemas[ref] = spec.components.schemas[ref];
-        }
+      if (args.dereference) {
+        const { value, circularRefs } = dereference(spec, operation);
+        return JSON.stringify({
+          path: args.path,
+          method: args.method,
+          dereferenced: true,
+          operation: value,
+          ...(circularRefs.length > 0 && {
+            circularRefs,
+            referencedSchemas: collectReferencedSchemas(spec, circularRefs.map(ref => ({ $ref: ref }))),
+          }),
+        }, null, 2);
       }
 
-      return JSON.stringify({ path: args.path, method: args.method, operation, referencedSchemas }, null, 2);
+      const { schemas: referencedSchemas = {}, ...otherComponents } = collectReferencedComponents(spec, operation);
+      return JSON.stringify({
+        path: args.path,
+        method: args.method,
+        operation,
+        referencedSchemas,
+        ...(Object.keys(otherComponents).length > 0 && { referencedComponents: otherComponents }),
+      }, null, 2);
     }
 
     case 'apidog_search_endpoints': {
-      const spec = await client.exportSpec({ includeExtensions: true });
-      const allEndpoints = ApidogClient.parseEndpoints(spec);
-      const query = args.query.toLowerCase();
-
-      let results = allEndpoints.map(ep => {
-        let score = 0;
-        const searchFields = [
-          ep.path,
-          ep.summary,
-          ep.description,
-          ...(ep.tags || []),
-          ep.folder || '',
-        ].map(f => f.toLowerCase());
-
-        for (const field of searchFields) {
-          if (field.includes(query)) score += 10;
-          // Also check individual words
-          for (const word of query.split(/[\s\-_\/]+/)) {
-            if (word && field.includes(word)) score += 3;
-          }
-        }
-
-        return { ...ep, score };
-      }).filter(ep => ep.score > 0);
-
-      if (args.method) {
-        results = results.filter(ep => ep.method.toLowerCase() === args.method.toLowerCase());
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const query = args.query || '';
+      const { terms, excluded, filters, unknown, results } = searchEndpoints(spec, query, {
+        method: args.method,
+        status: args.status,
+        maintainer: args.maintainer,
+        deprecated: args.deprecated,
+      });
+      if (terms.length === 0 && excluded.length === 0 && filters.length === 0) {
+        return JSON.stringify({ error: 'Provide a query (keywords and/or qualifiers such as tag:billing) or at least one filter.' });
       }
 
-      results.sort((a, b) => b.score - a.score);
-
-      const list = results.slice(0, 15).map(e => ({
+      const offset = Math.max(0, args.offset || 0);
+      const limit = Math.min(Math.max(1, args.limit || 15), 100);
+      const page = results.slice(offset, offset + limit).map(e => ({
         method: e.method,
         path: e.path,
         summary: e.summary,
         tags: e.tags,
         folder: e.folder,
         status: e.status,
-        score: e.score,
+        maintainer: e.maintainer,
+        ...(e.deprecated && { deprecated: true }),
+        ...(terms.length > 0 && { score: e.score, matches: e.matches }),
       }));
 
-      return JSON.stringify({ query: args.query, total: list.length, results: list }, null, 2);
+      return JSON.stringify({
+        query,
+        ...(unknown.length > 0 && { unknownQualifiers: unknown, qualifiers: SEARCH_QUALIFIERS }),
+        total: results.length,
+        offset,
+        limit,
+        ...(offset + limit < results.length && { nextOffset: offset + limit }),
+        results: page,
+      }, null, 2);
+    }
+
+    case 'apidog_diff_spec': {
+      const localSpec = await resolveSpecArg(args);
+      const apidogSpec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const diff = diffSpecs(apidogSpec, localSpec, {
+        ignoreKey: args.compareApidogExtensions ? undefined : isApidogExtension,
+      });
+
+      return JSON.stringify({
+        summary: {
+          endpointsOnlyInLocal: diff.endpoints.added.length,
+          endpointsOnlyInApidog: diff.endpoints.removed.length,
+          endpointsChanged: diff.endpoints.changed.length,
+          schemasOnlyInLocal: diff.schemas.added.length,
+          schemasOnlyInApidog: diff.schemas.removed.length,
+          schemasChanged: diff.schemas.changed.length,
+        },
+        endpoints: {
+          onlyInLocal: diff.endpoints.added,
+          onlyInApidog: diff.endpoints.removed,
+          changed: diff.endpoints.changed.map(c => ({ endpoint: c.endpoint, diff: formatDiff(c.changes) })),
+        },
+        schemas: {
+          onlyInLocal: diff.schemas.added,
+          onlyInApidog: diff.schemas.removed,
+          changed: diff.schemas.changed.map(c => ({ name: c.name, diff: formatDiff(c.changes) })),
+        },
+      }, null, 2);
+    }
+
+    case 'apidog_lint_spec': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const report = lintSpec(spec, {
+        rules: { ...registry.project(args.project).lint, ...(args.rules || {}) },
+        folder: args.folder,
+        tag: args.tag,
+      });
+
+      const severities = ['error', 'warning', 'info'];
+      const threshold = severities.indexOf(args.minSeverity || 'info');
+      const violations = report.violations.filter(v => severities.indexOf(v.severity) <= threshold);
+      const limit = args.limit || 200;
+
+      return JSON.stringify({
+        ...(args.folder && { folder: args.folder }),
+        ...(args.tag && { tag: args.tag }),
+        endpointsChecked: report.endpointsChecked,
+        schemasChecked: report.schemasChecked,
+        rules: report.rules,
+        counts: report.counts,
+        byRule: report.byRule,
+        returned: Math.min(limit, violations.length),
+        violations: violations.slice(0, limit),
+      }, null, 2);
+    }
+
+    case 'apidog_check_refs': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const danglingRefs = findDanglingRefs(spec);
+      const orphanedSchemas = findOrphanedSchemas(spec);
+
+      return JSON.stringify({
+        totalSchemas: Object.keys(spec.components?.schemas || {}).length,
+        danglingCount: danglingRefs.length,
+        orphanedCount: orphanedSchemas.length,
+        danglingRefs,
+        orphanedSchemas,
+      }, null, 2);
+    }
+
+    case 'apidog_deprecation_report': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const report = deprecationReport(spec);
+      const entries = args.overdueOnly ? report.filter(e => e.overdue) : report;
+
+      return JSON.stringify({
+        deprecatedCount: report.length,
+        overdueCount: report.filter(e => e.overdue).length,
+        withoutSunsetCount: report.filter(e => !e.sunset).length,
+        endpoints: entries,
+      }, null, 2);
+    }
+
+    case 'apidog_changelog': {
+      const from = await resolveSpecSource(client, args.from, { refresh: args.refresh === true });
+      const to = await resolveSpecSource(client, args.to || { live: true }, { refresh: args.refresh === true });
+      const changelog = buildChangelog(from.spec, to.spec, { groupBy: args.groupBy || 'folder' });
+      const markdown = renderChangelogMarkdown(changelog, { title: args.title, from: from.label, to: to.label });
+      const result = { from: from.label, to: to.label, ...changelog };
+
+      if (args.outputPath) {
+        const absolutePath = resolve(args.outputPath);
+        const asJson = /\.json$/i.test(absolutePath);
+        const text = asJson ? JSON.stringify(result, null, 2) + '\n' : markdown;
+        await mkdir(dirname(absolutePath), { recursive: true });
+        await writeFile(absolutePath, text);
+        return JSON.stringify({
+          success: true,
+          path: absolutePath,
+          format: asJson ? 'json' : 'markdown',
+          bytes: Buffer.byteLength(text),
+          summary: changelog.summary,
+        }, null, 2);
+      }
+
+      const format = args.format || 'both';
+      if (format === 'markdown') return markdown;
+      return JSON.stringify(format === 'json' ? result : { ...result, markdown }, null, 2);
+    }
+
+    case 'apidog_route_coverage': {
+      if (args.routes && args.routesPath) throw new Error('Provide either routes or routesPath, not both');
+      if (!args.routes && !args.routesPath) throw new Error('Either routes or routesPath is required');
+      const routes = parseRouteManifest(args.routes || await loadRouteManifest(args.routesPath));
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+
+      return JSON.stringify(routeCoverage(spec, routes, { include: args.include, ignore: args.ignore }), null, 2);
+    }
+
+    case 'apidog_check_traffic': {
+      const exchanges = await loadTraffic(args.trafficPath);
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+
+      return JSON.stringify(checkTraffic(spec, exchanges, { proposePatches: args.proposePatches === true }), null, 2);
+    }
+
+    case 'apidog_generate_typescript': {
+      const selection = { folders: args.folders, tags: args.tags, paths: args.paths, endpoints: args.endpoints };
+      const fullSpec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const missing = findMissingEndpoints(fullSpec, args.endpoints);
+      if (missing.length > 0) {
+        return JSON.stringify({ error: `Endpoints not found: ${missing.join(', ')}` });
+      }
+
+      const spec = hasSelection(selection) ? scopeSpec(fullSpec, selection) : fullSpec;
+      const generated = generateTypeScript(spec, { groupBy: args.groupBy || 'folder' });
+      const written = await writeGeneratedFiles(generated.files, args.outputDir);
+
+      return JSON.stringify({
+        success: true,
+        ...written,
+        operations: generated.operations,
+        schemas: generated.schemas,
+      }, null, 2);
     }
 
     // ── WRITE ─────────────────────────────────────────────────────────────
 
     case 'apidog_upsert_endpoint': {
       // POC-validated flow: Export → Find → Diff → Merge → Import → Verify
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const beforeSpec = structuredClone(spec);
       const existingOp = spec.paths?.[args.path]?.[args.method];
       const action = existingOp ? 'UPDATE' : 'CREATE';
+      const endpoint = `${args.method.toUpperCase()} ${args.path}`;
+
+      // Normalize + Validate
+      const operation = structuredClone(args.operation);
+      const normalized = args.normalize === false ? [] : normalizeOperation(spec, args.path, args.method, operation);
+      const validationErrors = validateOperation(spec, args.path, args.method, operation);
+      if (validationErrors.length > 0) {
+        return JSON.stringify({ error: `${endpoint} is not a valid OpenAPI operation. Nothing was imported.`, validationErrors }, null, 2);
+      }
 
       // Diff
       let diffText = '';
       if (existingOp) {
-        const changes = deepDiff(existingOp, args.operation);
+        const changes = deepDiff(existingOp, operation);
         diffText = formatDiff(changes);
       }
 
       // Merge
       if (!spec.paths[args.path]) spec.paths[args.path] = {};
-      spec.paths[args.path][args.method] = args.operation;
+      spec.paths[args.path][args.method] = operation;
 
       // Ensure tags
       if (!spec.tags) spec.tags = [];
       const existingTags = new Set(spec.tags.map(t => t.name));
-      for (const tag of (args.operation.tags || [])) {
+      for (const tag of (operation.tags || [])) {
         if (!existingTags.has(tag)) spec.tags.push({ name: tag });
       }
 
-      // Import
-      const importResult = await client.importSpec(spec);
+      const assessment = assessChanges(beforeSpec, spec);
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action,
+          endpoint,
+          ...assessment,
+          ...(normalized.length > 0 && { normalized }),
+          diff: diffText || '(new endpoint)',
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      if (args.blockBreaking) assertNoBreakingChanges(beforeSpec, spec);
+
+      // Snapshot + Import
+      const { importResult, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, { tool: name, summary: `${action} ${endpoint}` });
       const counters = importResult?.data?.counters || {};
 
       // Verify
-      const verifySpec = await client.exportSpec({ includeExtensions: true });
+      const verifySpec = await client.exportSpec({ includeExtensions: true, refresh: true });
       const verified = !!verifySpec.paths?.[args.path]?.[args.method];
 
       return JSON.stringify({
         success: verified,
         action,
-        endpoint: `${args.method.toUpperCase()} ${args.path}`,
+        endpoint,
+        ...assessment,
+        ...(normalized.length > 0 && { normalized }),
         diff: diffText || '(new endpoint)',
         counters,
         verified,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
       }, null, 2);
     }
 
     case 'apidog_upsert_endpoints': {
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const beforeSpec = structuredClone(spec);
       const results = [];
+      const validationErrors = [];
 
       for (const ep of args.endpoints) {
+        const endpoint = `${ep.method.toUpperCase()} ${ep.path}`;
         const existed = !!spec.paths?.[ep.path]?.[ep.method];
+        const operation = structuredClone(ep.operation);
+        const normalized = args.normalize === false ? [] : normalizeOperation(spec, ep.path, ep.method, operation);
+        validationErrors.push(...validateOperation(spec, ep.path, ep.method, operation).map(e => ({ endpoint, ...e })));
+
         if (!spec.paths[ep.path]) spec.paths[ep.path] = {};
-        spec.paths[ep.path][ep.method] = ep.operation;
+        spec.paths[ep.path][ep.method] = operation;
 
         // Ensure tags
         if (!spec.tags) spec.tags = [];
         const existingTags = new Set(spec.tags.map(t => t.name));
-        for (const tag of (ep.operation.tags || [])) {
+        for (const tag of (operation.tags || [])) {
           if (!existingTags.has(tag)) spec.tags.push({ name: tag });
         }
 
         results.push({
-          endpoint: `${ep.method.toUpperCase()} ${ep.path}`,
+          endpoint,
           action: existed ? 'UPDATE' : 'CREATE',
+          ...(normalized.length > 0 && { normalized }),
         });
       }
 
-      const importResult = await client.importSpec(spec);
+      if (validationErrors.length > 0) {
+        return JSON.stringify({ error: 'Some operations are not valid OpenAPI. Nothing was imported.', validationErrors }, null, 2);
+      }
+
+      const assessment = assessChanges(beforeSpec, spec);
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          ...assessment,
+          endpoints: results,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      if (args.blockBreaking) assertNoBreakingChanges(beforeSpec, spec);
+
+      const { importResult, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: results.map(r => `${r.action} ${r.endpoint}`).join(', '),
+      });
 
       return JSON.stringify({
         success: true,
+        ...assessment,
         endpoints: results,
         counters: importResult?.data?.counters || {},
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
       }, null, 2);
     }
 
     case 'apidog_delete_endpoint': {
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
 
       if (!spec.paths?.[args.path]) {
         return JSON.stringify({ error: `Path "${args.path}" not found` });
@@ -466,17 +1405,299 @@ async function handleTool(client, name, args) {
         return JSON.stringify({ error: `Method "${args.method}" not found on "${args.path}"` });
       }
 
+      const endpoint = `${args.method.toUpperCase()} ${args.path}`;
+      const beforeSpec = structuredClone(spec);
+
       delete spec.paths[args.path][args.method];
       if (Object.keys(spec.paths[args.path]).length === 0) {
         delete spec.paths[args.path];
       }
 
-      const result = await client.importSpec(spec);
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'DELETE',
+          endpoint,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, { tool: name, summary: `DELETE ${endpoint}` });
       return JSON.stringify({
         success: true,
         action: 'DELETE',
-        endpoint: `${args.method.toUpperCase()} ${args.path}`,
+        endpoint,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_move_endpoint': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const moves = planMoves(spec, args);
+      const beforeSpec = structuredClone(spec);
+      const warnings = applyMoves(spec, moves);
+
+      const moved = moves.map(m => ({
+        from: `${m.from.method.toUpperCase()} ${m.from.path}`,
+        to: `${m.to.method.toUpperCase()} ${m.to.path}`,
+        ...(Object.keys(m.paramRenames).length > 0 && { renamedPathParams: m.paramRenames }),
+      }));
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'MOVE_ENDPOINT',
+          moved,
+          warnings,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `MOVE ${moved.map(m => `${m.from} → ${m.to}`).join(', ')}`,
+      });
+      return JSON.stringify({
+        success: true,
+        action: 'MOVE_ENDPOINT',
+        moved,
+        warnings,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_set_status': {
+      const selection = { folders: args.folders, tags: args.tags, paths: args.paths, endpoints: args.endpoints };
+      if (!hasSelection(selection)) {
+        return JSON.stringify({ error: 'Select endpoints with folders, tags, paths or endpoints' });
+      }
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const missing = findMissingEndpoints(spec, args.endpoints);
+      if (missing.length > 0) {
+        return JSON.stringify({ error: `Endpoints not found: ${missing.join(', ')}` });
+      }
+
+      const beforeSpec = structuredClone(spec);
+      const transitions = registry.project(args.project).statusTransitions || DEFAULT_STATUS_TRANSITIONS;
+      const selected = selectEndpoints(spec, selection)
+        .filter(ep => !args.fromStatus || ep.status === args.fromStatus);
+      const changed = [];
+      const refused = [];
+      let unchanged = 0;
+
+      for (const ep of selected) {
+        const endpoint = `${ep.method} ${ep.path}`;
+        if (ep.status === args.status) {
+          unchanged++;
+        } else if (args.enforceTransitions && !isTransitionAllowed(ep.status, args.status, transitions)) {
+          refused.push({ endpoint, from: ep.status, to: args.status, allowed: transitions[ep.status] || [] });
+        } else {
+          ep.operation['x-apidog-status'] = args.status;
+          changed.push({ endpoint, from: ep.status, to: args.status });
+        }
+      }
+
+      if (refused.length > 0) {
+        return JSON.stringify({ error: `${refused.length} endpoint(s) cannot move to "${args.status}". Nothing was imported.`, refused }, null, 2);
+      }
+      if (changed.length === 0) {
+        return JSON.stringify({ success: true, action: 'SET_STATUS', status: args.status, changed, unchanged, message: 'Nothing to change' }, null, 2);
+      }
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'SET_STATUS',
+          status: args.status,
+          changed,
+          unchanged,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `SET_STATUS ${args.status} on ${changed.length} endpoint(s)`,
+      });
+      return JSON.stringify({
+        success: true,
+        action: 'SET_STATUS',
+        status: args.status,
+        changed,
+        unchanged,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_assign_maintainer': {
+      const selection = { folders: args.folders, tags: args.tags, paths: args.paths, endpoints: args.endpoints };
+      if (!hasSelection(selection)) {
+        return JSON.stringify({ error: 'Select endpoints with folders, tags, paths or endpoints' });
+      }
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const missing = findMissingEndpoints(spec, args.endpoints);
+      if (missing.length > 0) {
+        return JSON.stringify({ error: `Endpoints not found: ${missing.join(', ')}` });
+      }
+
+      const beforeSpec = structuredClone(spec);
+      const changed = [];
+      let unchanged = 0;
+
+      for (const ep of selectEndpoints(spec, selection)) {
+        if (ep.maintainer === args.maintainer || (args.onlyUnassigned && ep.maintainer)) {
+          unchanged++;
+          continue;
+        }
+        ep.operation['x-apidog-maintainer'] = args.maintainer;
+        changed.push({ endpoint: `${ep.method} ${ep.path}`, from: ep.maintainer, to: args.maintainer });
+      }
+
+      if (changed.length === 0) {
+        return JSON.stringify({ success: true, action: 'ASSIGN_MAINTAINER', maintainer: args.maintainer, changed, unchanged, message: 'Nothing to change' }, null, 2);
+      }
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'ASSIGN_MAINTAINER',
+          maintainer: args.maintainer,
+          changed,
+          unchanged,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `ASSIGN_MAINTAINER ${args.maintainer} on ${changed.length} endpoint(s)`,
+      });
+      return JSON.stringify({
+        success: true,
+        action: 'ASSIGN_MAINTAINER',
+        maintainer: args.maintainer,
+        changed,
+        unchanged,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_generate_examples': {
+      const selection = { folders: args.folders, tags: args.tags, paths: args.paths, endpoints: args.endpoints };
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const missing = findMissingEndpoints(spec, args.endpoints);
+      if (missing.length > 0) {
+        return JSON.stringify({ error: `Endpoints not found: ${missing.join(', ')}` });
+      }
+
+      const beforeSpec = structuredClone(spec);
+      const seed = args.seed ?? Math.floor(Math.random() * 2 ** 31);
+      const updated = [];
+      const warnings = [];
+      let unchanged = 0;
+
+      for (const ep of selectEndpoints(spec, selection)) {
+        const endpoint = `${ep.method} ${ep.path}`;
+        const result = addOperationExamples(spec, ep.operation, {
+          random: createRandom(`${seed}:${endpoint}`),
+          overwrite: args.onlyMissing === false,
+        });
+        warnings.push(...result.warnings.map(w => `${endpoint}: ${w}`));
+        if (result.added.length > 0) updated.push({ endpoint, examples: result.added });
+        else unchanged++;
+      }
+
+      if (updated.length === 0) {
+        return JSON.stringify({ success: true, action: 'GENERATE_EXAMPLES', seed, updated, unchanged, message: 'Nothing to change', ...(warnings.length > 0 && { warnings }) }, null, 2);
+      }
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'GENERATE_EXAMPLES',
+          seed,
+          updated,
+          unchanged,
+          ...(warnings.length > 0 && { warnings }),
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `GENERATE_EXAMPLES on ${updated.length} endpoint(s) (seed ${seed})`,
+      });
+      return JSON.stringify({
+        success: true,
+        action: 'GENERATE_EXAMPLES',
+        seed,
+        updated,
+        unchanged,
+        ...(warnings.length > 0 && { warnings }),
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_deprecate_endpoint': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const endpoint = `${args.method.toUpperCase()} ${args.path}`;
+      const operation = spec.paths?.[args.path]?.[args.method];
+      if (!operation) {
+        return JSON.stringify({ error: `${endpoint} not found` });
+      }
+
+      const beforeSpec = structuredClone(spec);
+      const warnings = deprecateOperation(operation, {
+        sunset: args.sunset,
+        replacement: args.replacement,
+        reason: args.reason,
+        addHeaders: args.addHeaders === true,
+      });
+      if (args.replacement && findMissingEndpoints(spec, [args.replacement]).length > 0) {
+        warnings.push(`Replacement ${args.replacement} does not exist in the project yet`);
+      }
+
+      const response = {
+        action: 'DEPRECATE',
+        endpoint,
+        deprecation: operation[DEPRECATION_EXTENSION],
+        warnings,
+      };
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          ...response,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `DEPRECATE ${endpoint}${args.sunset ? ` (sunset ${args.sunset})` : ''}`,
+      });
+      return JSON.stringify({
+        success: true,
+        ...response,
         counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
       }, null, 2);
     }
 
@@ -487,32 +1708,222 @@ async function handleTool(client, name, args) {
         paths: {},
         components: { schemas: { [args.name]: args.schema } },
       };
-      const result = await client.mergeAndImport(partialSpec);
+      const result = await client.mergeAndImport(partialSpec, {
+        tool: name,
+        summary: `UPSERT_SCHEMA ${args.name}`,
+        dryRun: args.dryRun === true,
+        beforeImport: args.blockBreaking ? assertNoBreakingChanges : undefined,
+      });
+      const assessment = assessChanges(result.baseSpec, result.mergedSpec);
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'UPSERT_SCHEMA',
+          schema: args.name,
+          ...assessment,
+          changeSet: buildChangeSet(result.baseSpec, result.mergedSpec),
+        }, null, 2);
+      }
+
       return JSON.stringify({
         success: true,
         action: 'UPSERT_SCHEMA',
         schema: args.name,
+        ...assessment,
         counters: result.importResult?.data?.counters,
+        snapshotId: result.snapshot?.id,
+        ...(result.rebasedOver.length > 0 && { rebasedOver: result.rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_delete_schemas': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const schemas = spec.components?.schemas || {};
+
+      const missing = args.names.filter(n => !schemas[n]);
+      if (missing.length > 0) {
+        return JSON.stringify({ error: `Schema(s) not found: ${missing.join(', ')}` });
+      }
+
+      // A schema may only be referenced by other schemas that are deleted with it
+      const deleting = new Set(args.names);
+      const stillUsed = {};
+      for (const schemaName of args.names) {
+        const usages = findSchemaUsages(spec, schemaName)
+          .filter(location => !(location.startsWith('schemas.') && deleting.has(location.slice('schemas.'.length))));
+        if (usages.length > 0) stillUsed[schemaName] = usages;
+      }
+      if (Object.keys(stillUsed).length > 0) {
+        return JSON.stringify({ error: 'Refusing to delete schemas that are still referenced', stillUsed }, null, 2);
+      }
+
+      const beforeSpec = structuredClone(spec);
+      for (const schemaName of args.names) delete spec.components.schemas[schemaName];
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          action: 'DELETE_SCHEMAS',
+          schemas: args.names,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, { tool: name, summary: `DELETE_SCHEMAS ${args.names.join(', ')}` });
+      return JSON.stringify({
+        success: true,
+        action: 'DELETE_SCHEMAS',
+        schemas: args.names,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    case 'apidog_rename_schema': {
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const schemas = spec.components?.schemas || {};
+
+      if (!schemas[args.from]) {
+        return JSON.stringify({ error: `Schema "${args.from}" not found` });
+      }
+      if (args.from === args.to) {
+        return JSON.stringify({ error: 'The new name is the same as the current one' });
+      }
+      if (schemas[args.to]) {
+        return JSON.stringify({
+          error: `Schema "${args.to}" already exists. Pick another name, or delete/rename the existing one first.`,
+          collidesWith: schemaRef(args.to),
+        });
+      }
+
+      const beforeSpec = structuredClone(spec);
+
+      // Rename in place so the schema keeps its position in components.schemas
+      spec.components.schemas = Object.fromEntries(
+        Object.entries(schemas).map(([key, value]) => [key === args.from ? args.to : key, value])
+      );
+
+      const oldRef = schemaRef(args.from);
+      const newRef = schemaRef(args.to);
+      const rewrite = ref => {
+        if (ref === oldRef) return newRef;
+        if (ref.startsWith(`${oldRef}/`)) return newRef + ref.slice(oldRef.length);
+        return ref;
+      };
+
+      const touched = [];
+      for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+        for (const [key, value] of Object.entries(pathItem || {})) {
+          const refs = rewriteRefs(value, rewrite);
+          if (refs > 0) touched.push({ location: `${key.toUpperCase()} ${path}`, refs });
+        }
+      }
+      for (const [webhookName, webhook] of Object.entries(spec.webhooks || {})) {
+        const refs = rewriteRefs(webhook, rewrite);
+        if (refs > 0) touched.push({ location: `webhook ${webhookName}`, refs });
+      }
+      for (const [type, entries] of Object.entries(spec.components || {})) {
+        for (const [entryName, value] of Object.entries(entries || {})) {
+          const refs = rewriteRefs(value, rewrite);
+          if (refs > 0) touched.push({ location: `${type}.${entryName}`, refs });
+        }
+      }
+
+      const response = {
+        action: 'RENAME_SCHEMA',
+        from: args.from,
+        to: args.to,
+        refsRewritten: touched.reduce((sum, t) => sum + t.refs, 0),
+        touched,
+      };
+
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          ...response,
+          changeSet: buildChangeSet(beforeSpec, spec),
+        }, null, 2);
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `RENAME_SCHEMA ${args.from} → ${args.to} (${touched.length} location(s))`,
+      });
+      return JSON.stringify({
+        success: true,
+        ...response,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
       }, null, 2);
     }
 
     case 'apidog_import_spec': {
-      let result;
+      const incomingSpec = await resolveSpecArg(args);
+      const incoming = ApidogClient.parseEndpoints(incomingSpec).length;
+      const summary = `IMPORT ${incoming} endpoint(s), ${Object.keys(incomingSpec.components?.schemas || {}).length} schema(s)`;
       if (args.mergeWithExisting !== false) {
-        result = await client.mergeAndImport(args.spec);
-      } else {
-        result = await client.importSpec(args.spec, {
-          endpointOverwriteBehavior: args.overwriteBehavior || 'OVERWRITE_EXISTING',
-          schemaOverwriteBehavior: args.overwriteBehavior || 'OVERWRITE_EXISTING',
+        const result = await client.mergeAndImport(incomingSpec, {
+          tool: name,
+          summary,
+          dryRun: args.dryRun === true,
+          beforeImport: args.blockBreaking ? assertNoBreakingChanges : undefined,
         });
+        const assessment = assessChanges(result.baseSpec, result.mergedSpec);
+        if (args.dryRun) {
+          return JSON.stringify({
+            _notice: DRY_RUN_NOTICE,
+            dryRun: true,
+            mode: 'merge',
+            ...assessment,
+            changeSet: buildChangeSet(result.baseSpec, result.mergedSpec),
+          }, null, 2);
+        }
+        return JSON.stringify({
+          ...assessment,
+          ...result.importResult,
+          snapshotId: result.snapshot?.id,
+          ...(result.rebasedOver.length > 0 && { rebasedOver: result.rebasedOver }),
+        }, null, 2);
+      }
+
+      // The file is imported as given: compare with what the project will look like,
+      // not with the file itself (endpoints and schemas it leaves out are kept)
+      const currentSpec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const projectedSpec = overlayPartialSpec(currentSpec, incomingSpec);
+      const assessment = assessChanges(currentSpec, projectedSpec);
+      if (args.dryRun) {
+        return JSON.stringify({
+          _notice: DRY_RUN_NOTICE,
+          dryRun: true,
+          mode: 'replace',
+          ...assessment,
+          changeSet: buildChangeSet(currentSpec, projectedSpec),
+        }, null, 2);
       }
-      return JSON.stringify(result.importResult || result, null, 2);
+      if (args.blockBreaking) assertNoBreakingChanges(currentSpec, projectedSpec);
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(currentSpec, incomingSpec, {
+        tool: name,
+        summary: `${summary} (replace)`,
+        partial: true,
+        importOptions: {
+          endpointOverwriteBehavior: args.overwriteBehavior || 'OVERWRITE_EXISTING',
+          schemaOverwriteBehavior: args.overwriteBehavior || 'OVERWRITE_EXISTING',
+        },
+      });
+      return JSON.stringify({ ...assessment, ...result, snapshotId: snapshot?.id, ...(rebasedOver.length > 0 && { rebasedOver }) }, null, 2);
     }
 
     // ── ORGANIZE ──────────────────────────────────────────────────────────
 
     case 'apidog_analyze_folders': {
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
       const endpoints = ApidogClient.parseEndpoints(spec);
       const analysis = analyzeFolders(endpoints);
 
@@ -537,7 +1948,7 @@ async function handleTool(client, name, args) {
     }
 
     case 'apidog_propose_reorganization': {
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
       const endpoints = ApidogClient.parseEndpoints(spec);
       const plan = proposeReorganization(endpoints, {
         strategy: args.strategy || 'path-based',
@@ -559,7 +1970,8 @@ async function handleTool(client, name, args) {
     }
 
     case 'apidog_apply_reorganization': {
-      const spec = await client.exportSpec({ includeExtensions: true });
+      const spec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const beforeSpec = structuredClone(spec);
 
       // Apply folder changes
       let applied = 0;
@@ -571,10 +1983,14 @@ async function handleTool(client, name, args) {
         }
       }
 
-      // Import
-      const result = await client.importSpec(spec, {
-        endpointOverwriteBehavior: 'OVERWRITE_EXISTING',
-        updateFolderOfChangedEndpoint: true,
+      // Snapshot + Import
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(beforeSpec, spec, {
+        tool: name,
+        summary: `REORGANIZE_FOLDERS ${applied} endpoint(s)`,
+        importOptions: {
+          endpointOverwriteBehavior: 'OVERWRITE_EXISTING',
+          updateFolderOfChangedEndpoint: true,
+        },
       });
 
       return JSON.stringify({
@@ -583,6 +1999,223 @@ async function handleTool(client, name, args) {
         endpointsUpdated: applied,
         totalChangesRequested: args.changes.length,
         counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    // ── HISTORY ───────────────────────────────────────────────────────────
+
+    case 'apidog_list_snapshots': {
+      const snapshots = await client.snapshotStore.list({ limit: args.limit || 20 });
+      return JSON.stringify({
+        directory: client.snapshotStore.dir,
+        total: snapshots.length,
+        snapshots,
+      }, null, 2);
+    }
+
+    case 'apidog_diff_snapshot': {
+      const { meta, spec: snapshotSpec } = await client.snapshotStore.load(args.snapshotId);
+      const liveSpec = await client.exportSpec({ includeExtensions: true, refresh: args.refresh === true });
+      const diff = diffSpecs(snapshotSpec, liveSpec);
+
+      return JSON.stringify({
+        snapshot: meta,
+        endpoints: {
+          onlyInSnapshot: diff.endpoints.removed,
+          onlyInLive: diff.endpoints.added,
+          changed: diff.endpoints.changed.map(c => ({ endpoint: c.endpoint, diff: formatDiff(c.changes) })),
+        },
+        schemas: {
+          onlyInSnapshot: diff.schemas.removed,
+          onlyInLive: diff.schemas.added,
+          changed: diff.schemas.changed.map(c => ({ name: c.name, diff: formatDiff(c.changes) })),
+        },
+      }, null, 2);
+    }
+
+    case 'apidog_rollback': {
+      const { meta, spec: snapshotSpec } = await client.snapshotStore.load(args.snapshotId);
+      const liveSpec = await client.exportSpec({ includeExtensions: true, refresh: true });
+      const selective = !!(args.endpoints?.length || args.schemas?.length);
+      const restored = [];
+      let targetSpec;
+
+      if (!selective) {
+        targetSpec = snapshotSpec;
+        restored.push(`FULL SPEC ${meta.id}`);
+      } else {
+        targetSpec = structuredClone(liveSpec);
+        if (!targetSpec.paths) targetSpec.paths = {};
+
+        for (const ep of args.endpoints || []) {
+          const method = ep.method.toLowerCase();
+          const label = `${method.toUpperCase()} ${ep.path}`;
+          const snapshotOp = snapshotSpec.paths?.[ep.path]?.[method];
+          if (snapshotOp) {
+            if (!targetSpec.paths[ep.path]) targetSpec.paths[ep.path] = {};
+            targetSpec.paths[ep.path][method] = snapshotOp;
+            restored.push(`RESTORE ${label}`);
+          } else if (targetSpec.paths[ep.path]?.[method]) {
+            delete targetSpec.paths[ep.path][method];
+            if (Object.keys(targetSpec.paths[ep.path]).length === 0) delete targetSpec.paths[ep.path];
+            restored.push(`REMOVE ${label}`);
+          }
+        }
+
+        for (const schemaName of args.schemas || []) {
+          const snapshotSchema = snapshotSpec.components?.schemas?.[schemaName];
+          if (snapshotSchema) {
+            if (!targetSpec.components) targetSpec.components = {};
+            if (!targetSpec.components.schemas) targetSpec.components.schemas = {};
+            targetSpec.components.schemas[schemaName] = snapshotSchema;
+            restored.push(`RESTORE schema ${schemaName}`);
+          } else if (targetSpec.components?.schemas?.[schemaName]) {
+            delete targetSpec.components.schemas[schemaName];
+            restored.push(`REMOVE schema ${schemaName}`);
+          }
+        }
+      }
+
+      if (restored.length === 0) {
+        return JSON.stringify({ error: `None of the requested items exist in snapshot "${meta.id}" or in the live spec` });
+      }
+
+      const { importResult: result, snapshot, rebasedOver } = await client.importChanges(liveSpec, targetSpec, {
+        tool: name,
+        summary: `ROLLBACK to ${meta.id}: ${restored.join(', ')}`,
+      });
+
+      return JSON.stringify({
+        success: true,
+        action: selective ? 'ROLLBACK_SELECTED' : 'ROLLBACK_FULL',
+        restoredFrom: meta,
+        restored,
+        counters: result?.data?.counters,
+        snapshotId: snapshot?.id,
+        ...(rebasedOver.length > 0 && { rebasedOver }),
+      }, null, 2);
+    }
+
+    // ── PROJECTS ──────────────────────────────────────────────────────────
+
+    case 'apidog_list_projects': {
+      return JSON.stringify({ projects: registry.list() }, null, 2);
+    }
+
+    case 'apidog_copy_endpoint': {
+      const source = registry.get(args.sourceProject);
+      const target = registry.get(args.targetProject);
+      const method = args.method.toLowerCase();
+      const targetPath = args.targetPath || args.path;
+      const endpoint = `${method.toUpperCase()} ${args.path}`;
+      const targetEndpoint = `${method.toUpperCase()} ${targetPath}`;
+
+      if (source === target && targetPath === args.path) {
+        return JSON.stringify({ error: 'Source and target are the same endpoint. Set targetProject or targetPath to something else.' });
+      }
+
+      const sourceSpec = await source.exportSpec({ includeExtensions: true, refresh: true });
+      const sourceOp = sourceSpec.paths?.[args.path]?.[method];
+      if (!sourceOp) {
+        return JSON.stringify({ error: `${endpoint} not found in project "${args.sourceProject || registry.defaultProject}"` });
+      }
+
+      const targetSpec = await target.exportSpec({ includeExtensions: true, refresh: true });
+      if (targetSpec.paths?.[targetPath]?.[method] && !args.overwrite) {
+        return JSON.stringify({ error: `${targetEndpoint} already exists in project "${args.targetProject}". Set overwrite: true to replace it.` });
+      }
+
+      // Apidog run links point at the source project
+      const operation = structuredClone(sourceOp);
+      delete operation['x-run-in-apidog'];
+
+      // Every component type: a $ref to a shared parameter or response must not dangle in the target
+      const referenced = args.includeSchemas === false ? {} : collectReferencedComponents(sourceSpec, operation);
+      const componentPlan = planComponentCopy({ schemas: {}, ...referenced }, targetSpec, args.overwrite === true);
+      const { schemas: schemaPlan, toCopy, ...otherPlans } = componentPlan;
+      const sourceTags = new Map((sourceSpec.tags || []).map(t => [t.name, t]));
+
+      const result = await target.mergeAndImport({
+        paths: { [targetPath]: { [method]: operation } },
+        components: toCopy,
+        tags: (operation.tags || []).map(tag => sourceTags.get(tag) || { name: tag }),
+      }, {
+        tool: name,
+        summary: `COPY ${endpoint} from ${args.sourceProject || registry.defaultProject} to ${targetEndpoint}`,
+        dryRun: args.dryRun === true,
+      });
+
+      return JSON.stringify({
+        ...(args.dryRun ? { _notice: DRY_RUN_NOTICE, dryRun: true } : { success: true }),
+        action: 'COPY_ENDPOINT',
+        from: { project: args.sourceProject || registry.defaultProject, endpoint },
+        to: { project: args.targetProject, endpoint: targetEndpoint },
+        schemas: copyReport(schemaPlan),
+        ...(Object.keys(otherPlans).length > 0 && {
+          components: Object.fromEntries(Object.entries(otherPlans).map(([type, plan]) => [type, copyReport(plan)])),
+        }),
+        ...(args.dryRun
+          ? { changeSet: buildChangeSet(result.baseSpec, result.mergedSpec) }
+          : {
+            counters: result.importResult?.data?.counters,
+            snapshotId: result.snapshot?.id,
+            ...(result.rebasedOver.length > 0 && { rebasedOver: result.rebasedOver }),
+          }),
+      }, null, 2);
+    }
+
+    case 'apidog_copy_schema': {
+      const source = registry.get(args.sourceProject);
+      const target = registry.get(args.targetProject);
+      if (source === target) {
+        return JSON.stringify({ error: 'Source and target projects are the same.' });
+      }
+
+      const sourceSpec = await source.exportSpec({ includeExtensions: true, refresh: true });
+      const schema = sourceSpec.components?.schemas?.[args.name];
+      if (!schema) {
+        return JSON.stringify({ error: `Schema "${args.name}" not found in project "${args.sourceProject || registry.defaultProject}"` });
+      }
+
+      const schemas = {
+        [args.name]: schema,
+        ...(args.includeReferenced === false ? {} : collectReferencedSchemas(sourceSpec, schema)),
+      };
+      const targetSpec = await target.exportSpec({ includeExtensions: true, refresh: true });
+      const { schemas: schemaPlan, toCopy } = planComponentCopy({ schemas }, targetSpec, args.overwrite === true);
+
+      if (!toCopy.schemas) {
+        return JSON.stringify({
+          success: true,
+          action: 'COPY_SCHEMA',
+          _notice: 'Nothing to import: every schema already exists in the target (set overwrite: true to replace differing ones).',
+          schemas: { keptExisting: schemaPlan.kept, identical: schemaPlan.identical },
+        }, null, 2);
+      }
+
+      const result = await target.mergeAndImport({
+        components: toCopy,
+      }, {
+        tool: name,
+        summary: `COPY schema ${args.name} from ${args.sourceProject || registry.defaultProject}`,
+        dryRun: args.dryRun === true,
+      });
+
+      return JSON.stringify({
+        ...(args.dryRun ? { _notice: DRY_RUN_NOTICE, dryRun: true } : { success: true }),
+        action: 'COPY_SCHEMA',
+        from: args.sourceProject || registry.defaultProject,
+        to: args.targetProject,
+        schemas: copyReport(schemaPlan),
+        ...(args.dryRun
+          ? { changeSet: buildChangeSet(result.baseSpec, result.mergedSpec) }
+          : {
+            counters: result.importResult?.data?.counters,
+            snapshotId: result.snapshot?.id,
+            ...(result.rebasedOver.length > 0 && { rebasedOver: result.rebasedOver }),
+          }),
       }, null, 2);
     }
 
@@ -594,9 +2227,24 @@ async function handleTool(client, name, args) {
 // ---------------------------------------------------------------------------
 // Server
 // ---------------------------------------------------------------------------
+function createRegistry(config) {
+  return new ProjectRegistry(config.projects, {
+    defaultProject: config.defaultProject,
+    createClient: (project) => new ApidogClient(project.accessToken, project.projectId, {
+      cacheTtlMs: config.cacheTtlMs,
+      conflictStrategy: config.conflictStrategy,
+      timeoutMs: config.timeoutMs,
+      maxRetries: config.maxRetries,
+      snapshotStore: new SnapshotStore(join(config.snapshotDir, project.projectId), {
+        maxSnapshots: config.maxSnapshots,
+      }),
+    }),
+  });
+}
+
 async function main() {
   const config = getConfig();
-  const client = new ApidogClient(config.accessToken, config.projectId);
+  const registry = createRegistry(config);
 
   const server = new Server(
     { name: 'apidog-sync-mcp-server', version: '2.0.0' },
@@ -608,7 +2256,7 @@ async function main() {
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const { name, arguments: args } = request.params;
     try {
-      const result = await handleTool(client, name, args || {});
+      const result = await handleTool(registry, name, args || {});
       return { content: [{ type: 'text', text: result }] };
     } catch (error) {
       return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
@@ -618,10 +2266,54 @@ async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('Apidog Sync MCP Server v2 running');
-  console.error(`Project: ${config.projectId}`);
+  console.error(`Projects: ${registry.list().map(p => `${p.name} (${p.projectId})`).join(', ')}`);
+}
+
+/**
+ * `apidog-sync-mcp mock` — serve the spec on localhost (see mock-server.js).
+ *
+ *   --spec-path=path  serve a local spec file or directory instead of exporting from Apidog
+ *   --project=name    project to export (default: the default project)
+ *   --port=4010       --host=127.0.0.1
+ *   --seed=0          seed for schema-generated responses
+ *   --no-validate     do not validate requests
+ */
+async function runMock(argv) {
+  const options = { port: '4010', host: '127.0.0.1', seed: '0', validate: true };
+  for (const arg of argv) {
+    if (arg.startsWith('--spec-path=')) options.specPath = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--project=')) options.project = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--port=')) options.port = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--host=')) options.host = arg.split('=').slice(1).join('=');
+    if (arg.startsWith('--seed=')) options.seed = arg.split('=').slice(1).join('=');
+    if (arg === '--no-validate') options.validate = false;
+  }
+
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`--port must be a port number, got "${options.port}"`);
+  }
+
+  const spec = options.specPath
+    ? await loadSpec(options.specPath)
+    : await createRegistry(getConfig()).get(options.project).exportSpec({ includeExtensions: true });
+
+  const server = createMockServer(spec, {
+    seed: options.seed,
+    validate: options.validate,
+    log: line => console.error(line),
+  });
+  await new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(port, options.host, resolvePromise);
+  });
+
+  const { port: boundPort } = server.address();
+  console.error(`Mock server for ${options.specPath || 'the Apidog project'} on http://${options.host}:${boundPort}`);
+  console.error(`${ApidogClient.parseEndpoints(spec).length} endpoints. Pick a status with "Prefer: code=404" or "X-Mock-Status: 404".`);
 }
 
-main().catch((error) => {
+(process.argv[2] === 'mock' ? runMock(process.argv.slice(3)) : main()).catch((error) => {
   console.error('Fatal:', error);
   process.exit(1);
 });
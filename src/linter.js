@@ -0,0 +1,306 @@
+/**
+ * Spec Linter
+ *
+ * Checks documentation quality on an exported spec and reports violations
+ * with a severity and a location (endpoint or schema + path inside it).
+ *
+ * Rules can be configured per project:
+ *   { "missing-examples": "off", "missing-summary": "error",
+ *     "naming-casing": { "severity": "warning", "options": { "casing": "camelCase" } } }
+ */
+
+import { ApidogClient } from './apidog-client.js';
+import { collectReferencedSchemas } from './refs.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const CASINGS = {
+  camelCase: /^[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+$/,
+  snake_case: /^[a-z][a-z0-9]*(?:_[a-z0-9]+)+$/,
+  'kebab-case': /^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/,
+  PascalCase: /^[A-Z][a-z0-9]*(?:[A-Z][a-z0-9]*)*$/,
+};
+
+/**
+ * Built-in rules. Operation rules get ({ operation, method, path, spec, options }),
+ * schema rules get ({ schema, name, spec, options }). Both return [{ message, path }].
+ * Project-wide rules get ({ endpoints, schemas, spec, options }) and return located violations.
+ */
+export const LINT_RULES = {
+  'missing-summary': {
+    severity: 'warning',
+    description: 'Operations must have a summary',
+    operation: ({ operation }) => (operation.summary?.trim() ? [] : [{ message: 'Missing summary', path: 'summary' }]),
+  },
+  'missing-description': {
+    severity: 'info',
+    description: 'Operations should have a description',
+    operation: ({ operation }) => (operation.description?.trim() ? [] : [{ message: 'Missing description', path: 'description' }]),
+  },
+  'missing-4xx-response': {
+    severity: 'warning',
+    description: 'Operations should document at least one 4xx (or default) response',
+    operation: ({ operation }) => {
+      const codes = Object.keys(operation.responses || {});
+      return codes.some(c => c.startsWith('4') || c === 'default')
+        ? []
+        : [{ message: 'No 4xx response documented', path: 'responses' }];
+    },
+  },
+  'missing-examples': {
+    severity: 'info',
+    description: 'Request bodies and 2xx responses with content should have examples',
+    operation: ({ operation }) => {
+      const violations = [];
+      const checkContent = (content, basePath) => {
+        for (const [mediaType, media] of Object.entries(content || {})) {
+          if (!hasExample(media)) {
+            violations.push({ message: `No example for ${mediaType}`, path: `${basePath}.content.${mediaType}` });
+          }
+        }
+      };
+      if (operation.requestBody?.content) checkContent(operation.requestBody.content, 'requestBody');
+      for (const [code, response] of Object.entries(operation.responses || {})) {
+        if (code.startsWith('2')) checkContent(response?.content, `responses.${code}`);
+      }
+      return violations;
+    },
+  },
+  'undeclared-path-param': {
+    severity: 'error',
+    description: 'Every {param} in the path must be declared in parameters with in: path, and vice versa',
+    operation: ({ operation, path, pathItem, spec }) => {
+      const templated = [...path.matchAll(/\{([^}]+)\}/g)].map(m => m[1]);
+      const declared = [...(pathItem?.parameters || []), ...(operation.parameters || [])]
+        .map(p => resolveParameter(spec, p))
+        .filter(p => p?.in === 'path')
+        .map(p => p.name);
+      return [
+        ...templated.filter(n => !declared.includes(n))
+          .map(n => ({ message: `Path parameter "{${n}}" is not declared in parameters`, path: 'parameters' })),
+        ...declared.filter(n => !templated.includes(n))
+          .map(n => ({ message: `Parameter "${n}" is declared with in: path but is not in the path template`, path: 'parameters' })),
+      ];
+    },
+  },
+  'missing-folder': {
+    severity: 'warning',
+    description: 'Operations should have an x-apidog-folder',
+    operation: ({ operation }) => (operation['x-apidog-folder'] ? [] : [{ message: 'Missing x-apidog-folder', path: 'x-apidog-folder' }]),
+  },
+  'missing-status': {
+    severity: 'warning',
+    description: 'Operations should have an x-apidog-status',
+    operation: ({ operation }) => (operation['x-apidog-status'] ? [] : [{ message: 'Missing x-apidog-status', path: 'x-apidog-status' }]),
+  },
+  'orders-mismatch': {
+    severity: 'warning',
+    description: 'x-apidog-orders must list exactly the properties of its schema',
+    operation: ({ operation }) => {
+      const violations = [];
+      walkSchemas(operation, '', (schema, path) => violations.push(...checkOrders(schema, path)));
+      return violations;
+    },
+    schema: ({ schema }) => {
+      const violations = [];
+      walkSchemas(schema, '', (s, path) => violations.push(...checkOrders(s, path)), true);
+      return violations;
+    },
+  },
+  'naming-casing': {
+    severity: 'warning',
+    description: 'Parameter and property names should use one casing style (options.casing, or the dominant one)',
+    project: ({ endpoints, schemas, spec, options }) => {
+      const names = [];
+      for (const ep of endpoints) {
+        for (const [i, p] of (ep.operation.parameters || []).entries()) {
+          const param = resolveParameter(spec, p);
+          if (param?.in === 'query' || param?.in === 'path') {
+            names.push({ name: param.name, location: { endpoint: `${ep.method} ${ep.path}`, path: `parameters.${i}` } });
+          }
+        }
+        walkSchemas(ep.operation, '', (schema, path) => {
+          for (const prop of Object.keys(schema.properties || {})) {
+            names.push({ name: prop, location: { endpoint: `${ep.method} ${ep.path}`, path: `${path}.properties.${prop}` } });
+          }
+        });
+      }
+      for (const [schemaName, schema] of Object.entries(schemas)) {
+        walkSchemas(schema, '', (s, path) => {
+          for (const prop of Object.keys(s.properties || {})) {
+            names.push({ name: prop, location: { schema: schemaName, path: `${path ? `${path}.` : ''}properties.${prop}` } });
+          }
+        }, true);
+      }
+
+      const classified = names.map(n => ({ ...n, casing: casingOf(n.name) })).filter(n => n.casing);
+      const expected = options.casing || dominantCasing(classified);
+      if (!expected) return [];
+
+      return classified
+        .filter(n => n.casing !== expected)
+        .map(n => ({ ...n.location, message: `"${n.name}" is ${n.casing}, expected ${expected}` }));
+    },
+  },
+};
+
+/**
+ * Lint a spec.
+ *
+ * options:
+ *   rules  — per-rule overrides: 'error' | 'warning' | 'info' | 'off' | { severity, options }
+ *   folder — only endpoints whose x-apidog-folder equals or is under this folder
+ *   tag    — only endpoints with this tag
+ *
+ * When filtering, schema rules only run on the schemas the selected endpoints reference.
+ */
+export function lintSpec(spec, { rules = {}, folder, tag } = {}) {
+  const activeRules = resolveRules(rules);
+
+  let endpoints = ApidogClient.parseEndpoints(spec);
+  if (folder) endpoints = endpoints.filter(e => e.folder === folder || (e.folder || '').startsWith(`${folder}/`));
+  if (tag) endpoints = endpoints.filter(e => e.tags.includes(tag));
+
+  const schemas = folder || tag
+    ? collectReferencedSchemas(spec, endpoints.map(e => e.operation))
+    : (spec.components?.schemas || {});
+
+  const violations = [];
+  for (const [ruleName, { rule, severity, options }] of Object.entries(activeRules)) {
+    const report = (location, v) => violations.push({ rule: ruleName, severity, ...location, message: v.message, path: v.path });
+
+    if (rule.operation) {
+      for (const ep of endpoints) {
+        const method = ep.method.toLowerCase();
+        const ctx = { operation: ep.operation, method, path: ep.path, pathItem: spec.paths[ep.path], spec, options };
+        for (const v of rule.operation(ctx)) report({ endpoint: `${ep.method} ${ep.path}` }, v);
+      }
+    }
+    if (rule.schema) {
+      for (const [name, schema] of Object.entries(schemas)) {
+        for (const v of rule.schema({ schema, name, spec, options })) report({ schema: name }, v);
+      }
+    }
+    if (rule.project) {
+      for (const v of rule.project({ endpoints, schemas, spec, options })) {
+        violations.push({ rule: ruleName, severity, ...v });
+      }
+    }
+  }
+
+  violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  const byRule = {};
+  for (const v of violations) {
+    counts[v.severity]++;
+    byRule[v.rule] = (byRule[v.rule] || 0) + 1;
+  }
+
+  return {
+    endpointsChecked: endpoints.length,
+    schemasChecked: Object.keys(schemas).length,
+    rules: Object.fromEntries(Object.entries(activeRules).map(([n, r]) => [n, r.severity])),
+    counts,
+    byRule,
+    violations,
+  };
+}
+
+function resolveRules(overrides) {
+  const active = {};
+  for (const name of Object.keys(overrides)) {
+    if (!LINT_RULES[name]) {
+      throw new Error(`Unknown lint rule "${name}". Available rules: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+  }
+  for (const [name, rule] of Object.entries(LINT_RULES)) {
+    const override = overrides[name];
+    const severity = (typeof override === 'string' ? override : override?.severity) || rule.severity;
+    if (severity === 'off') continue;
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for rule "${name}" (use ${SEVERITIES.join(', ')} or off)`);
+    }
+    active[name] = { rule, severity, options: (typeof override === 'object' && override?.options) || {} };
+  }
+  return active;
+}
+
+/**
+ * Whether a media type object has an example (on the media type or its schema).
+ */
+export function hasExample(media) {
+  return !!(media && (media.example !== undefined || media.examples || media.schema?.example !== undefined || media.schema?.examples));
+}
+
+function resolveParameter(spec, param) {
+  const ref = param?.$ref;
+  if (!ref) return param;
+  const name = ref.startsWith('#/components/parameters/') ? ref.split('/').pop() : null;
+  return name ? spec.components?.parameters?.[name] : null;
+}
+
+/**
+ * Visit every inline schema object inside a node (operation or schema).
+ * With isSchema, the node itself is a schema and is visited too.
+ */
+export function walkSchemas(node, path, visit, isSchema = false) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => walkSchemas(item, `${path}.${i}`, visit, isSchema));
+    return;
+  }
+  if (isSchema) visit(node, path);
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('x-') || key === 'example' || key === 'examples') continue;
+    const childPath = path ? `${path}.${key}` : key;
+    if (key === 'schema' || key === 'items' || key === 'additionalProperties' || key === 'not') {
+      walkSchemas(value, childPath, visit, true);
+    } else if (isSchema && key === 'properties') {
+      for (const [prop, propSchema] of Object.entries(value || {})) {
+        walkSchemas(propSchema, `${childPath}.${prop}`, visit, true);
+      }
+    } else if (isSchema && ['allOf', 'oneOf', 'anyOf'].includes(key)) {
+      walkSchemas(value, childPath, visit, true);
+    } else if (!isSchema) {
+      walkSchemas(value, childPath, visit, false);
+    }
+  }
+}
+
+function checkOrders(schema, path) {
+  const orders = schema['x-apidog-orders'];
+  if (!Array.isArray(orders) || !schema.properties) return [];
+
+  const properties = Object.keys(schema.properties);
+  // Apidog lists merged $ref groups in orders by their x-apidog-refs key
+  const refGroups = Object.keys(schema['x-apidog-refs'] || {});
+  const location = path ? `${path}.x-apidog-orders` : 'x-apidog-orders';
+  const violations = [];
+
+  const unknown = orders.filter(o => !properties.includes(o) && !refGroups.includes(o));
+  if (unknown.length > 0) {
+    violations.push({ message: `x-apidog-orders lists unknown properties: ${unknown.join(', ')}`, path: location });
+  }
+  const missing = properties.filter(p => !orders.includes(p));
+  if (missing.length > 0) {
+    violations.push({ message: `x-apidog-orders is missing properties: ${missing.join(', ')}`, path: location });
+  }
+  return violations;
+}
+
+function casingOf(name) {
+  for (const [casing, pattern] of Object.entries(CASINGS)) {
+    if (pattern.test(name)) return casing;
+  }
+  // Single lowercase words fit every style
+  return null;
+}
+
+function dominantCasing(classified) {
+  const counts = {};
+  for (const n of classified) counts[n.casing] = (counts[n.casing] || 0) + 1;
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top?.[0] || null;
+}
@@ -0,0 +1,204 @@
+/**
+ * Mock Server
+ *
+ * Serves a spec on localhost so clients can be built against the documented
+ * contract before the backend exists:
+ *
+ * - every path/method of the spec, with path parameters matched ({id} → any segment)
+ * - responses from the documented example, or generated from the schema
+ *   (deterministic: the same request always gets the same body)
+ * - requests validated against the documented parameters and request body
+ *   (400 with the list of problems)
+ * - status code chosen by the caller with `Prefer: code=404` or `X-Mock-Status: 404`,
+ *   otherwise the first documented 2xx
+ * - CORS enabled for every origin, so a frontend dev server can call it directly
+ *
+ * Nothing leaves the machine: the spec is loaded once, at start.
+ */
+
+import { createServer } from 'node:http';
+import { compileRoutes, createContractValidator, findResponse, matchRoute, serverBasePath } from './contract.js';
+import { createRandom, generateExample } from './example-generator.js';
+import { resolveRef } from './refs.js';
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_ERRORS = 20;
+
+/**
+ * Create (but do not start) an http.Server mocking the spec.
+ * Options: seed (for generated bodies), validate (default true), log(line).
+ */
+export function createMockServer(spec, { seed = 0, validate = true, log = () => {} } = {}) {
+  const routes = compileRoutes(spec);
+  const validator = validate ? createRequestValidator(spec) : null;
+  const basePath = serverBasePath(spec);
+
+  return createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    const method = req.method.toUpperCase();
+    let status;
+
+    try {
+      if (method === 'OPTIONS') {
+        status = 204;
+        send(res, status, undefined, {
+          'Access-Control-Allow-Methods': [...new Set(routes.map(r => r.method))].join(', '),
+          'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+        });
+        return;
+      }
+
+      const match = matchRoute(routes, url.pathname, { basePath });
+      if (!match) {
+        status = 404;
+        send(res, status, mockError(`No documented endpoint matches ${url.pathname}`));
+        return;
+      }
+      const route = match.routes.find(r => r.method === method);
+      if (!route) {
+        status = 405;
+        send(res, status, mockError(`${method} is not documented for ${match.routes[0].path}`), {
+          Allow: match.routes.map(r => r.method).join(', '),
+        });
+        return;
+      }
+
+      if (validator) {
+        const body = await readBody(req);
+        const errors = validator(route, { params: match.params, query: url.searchParams, headers: req.headers, body });
+        if (errors.length > 0) {
+          status = 400;
+          send(res, status, mockError(`Request does not match ${route.method} ${route.path}`, errors.slice(0, MAX_ERRORS)));
+          return;
+        }
+      }
+
+      const requested = requestedStatus(req.headers);
+      const response = pickResponse(spec, route.operation, requested);
+      if (!response) {
+        status = requested ? 400 : 500;
+        send(res, status, mockError(requested
+          ? `Status ${requested} is not documented for ${route.method} ${route.path} (documented: ${Object.keys(route.operation.responses || {}).join(', ')})`
+          : `${route.method} ${route.path} documents no responses`));
+        return;
+      }
+
+      status = response.status;
+      const { contentType, body } = responseBody(spec, response.response, req.headers.accept, createRandom(`${seed}:${route.method} ${route.path}`));
+      send(res, status, body, contentType ? { 'Content-Type': contentType } : {});
+    } catch (error) {
+      status = 500;
+      send(res, status, mockError(error.message));
+    } finally {
+      log(`${method} ${url.pathname}${url.search} → ${status} (${Date.now() - started}ms)`);
+    }
+  });
+}
+
+/**
+ * Validate a request against the documented parameters and JSON request body.
+ */
+function createRequestValidator(spec) {
+  const contract = createContractValidator(spec);
+
+  return (route, { params, query, headers, body }) => {
+    const errors = contract.checkParameters(route, { params, query, headers });
+
+    const requestBody = route.operation.requestBody?.$ref
+      ? resolveRef(spec, route.operation.requestBody.$ref)
+      : route.operation.requestBody;
+    if (!requestBody) return errors;
+
+    if (body.length === 0) {
+      if (requestBody.required) errors.push({ in: 'body', message: 'Request body is required' });
+      return errors;
+    }
+    const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const media = requestBody.content?.[contentType];
+    if (!media) {
+      errors.push({ in: 'body', message: `Content-Type "${contentType || '(none)'}" is not documented (expected: ${Object.keys(requestBody.content || {}).join(', ')})` });
+      return errors;
+    }
+    if (!media.schema || !/json/.test(contentType)) return errors;
+
+    let data;
+    try {
+      data = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      errors.push({ in: 'body', message: `Invalid JSON: ${error.message}` });
+      return errors;
+    }
+    for (const e of contract.checkSchema(media.schema, data)) {
+      errors.push({ in: 'body', path: e.path || undefined, message: e.message });
+    }
+    return errors;
+  };
+}
+
+function requestedStatus(headers) {
+  const prefer = /(?:^|[,;\s])code=(\d{3})/.exec(headers.prefer || '');
+  return prefer?.[1] || headers['x-mock-status'] || null;
+}
+
+function pickResponse(spec, operation, requested) {
+  const responses = operation.responses || {};
+  const resolve = r => (r?.$ref ? resolveRef(spec, r.$ref) : r);
+
+  if (requested) {
+    const found = findResponse(spec, operation, requested);
+    return found ? { status: Number(requested), response: found.response } : null;
+  }
+
+  const codes = Object.keys(responses);
+  const success = codes.filter(c => /^2\d\d$/.test(c)).sort()[0];
+  if (success) return { status: Number(success), response: resolve(responses[success]) };
+  if (responses.default) return { status: 200, response: resolve(responses.default) };
+  const first = codes.find(c => /^\d{3}$/.test(c));
+  return first ? { status: Number(first), response: resolve(responses[first]) } : null;
+}
+
+function responseBody(spec, response, accept = '', random) {
+  const content = response?.content || {};
+  const mediaTypes = Object.keys(content);
+  if (mediaTypes.length === 0) return { contentType: null, body: undefined };
+
+  const accepted = accept.split(',').map(a => a.split(';')[0].trim()).filter(a => a && a !== '*/*');
+  const contentType = accepted.find(a => content[a]) || mediaTypes.find(m => /json/.test(m)) || mediaTypes[0];
+  const media = content[contentType];
+
+  let value = media.example;
+  if (value === undefined && media.examples) {
+    const first = Object.values(media.examples)[0];
+    value = first?.$ref ? resolveRef(spec, first.$ref)?.value : first?.value;
+  }
+  if (value === undefined && media.schema) value = generateExample(spec, media.schema, { random, direction: 'response' });
+  return { contentType, body: value };
+}
+
+function send(res, status, body, headers = {}) {
+  const isText = typeof body === 'string' && !headers['Content-Type']?.includes('json');
+  const payload = body === undefined ? '' : isText ? body : JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': '*',
+    ...(body !== undefined && { 'Content-Type': 'application/json' }),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+function mockError(message, errors) {
+  return { mockError: message, ...(errors && { errors }) };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error(`Request body larger than ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
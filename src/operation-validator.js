@@ -0,0 +1,204 @@
+/**
+ * Operation Validator
+ *
+ * Checks incoming operations before they are imported, so malformed
+ * operations are refused with precise error paths instead of failing
+ * silently (or partially) inside Apidog.
+ *
+ * - validateOperation: the official OpenAPI 3.0 / 3.1 JSON Schema, plus
+ *   Apidog's own x-apidog-orders / x-apidog-ignore-properties arrays
+ * - normalizeOperation: fills in what the project format expects but is
+ *   tedious to hand-write (orders, status, folder)
+ */
+
+import Ajv04 from 'ajv-draft-04';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { openapi } from '@apidevtools/openapi-schemas';
+import { inferFolderFromPath } from './folder-organizer.js';
+import { walkSchemas } from './linter.js';
+
+export const DEFAULT_STATUS = 'developing';
+
+// Combinator errors only repeat what their branches already report
+const NOISE_KEYWORDS = new Set(['oneOf', 'anyOf', 'if', 'not']);
+const MAX_ERRORS = 25;
+
+const validators = {};
+
+function getValidator(oasVersion) {
+  const version = String(oasVersion || '3.1').startsWith('3.0') ? '3.0' : '3.1';
+  if (!validators[version]) {
+    const ajv = version === '3.0'
+      ? new Ajv04({ allErrors: true, strict: false, validateFormats: false })
+      : new Ajv2020({ allErrors: true, strict: false, validateFormats: false });
+    validators[version] = ajv.compile(version === '3.0' ? openapi.v3 : resolveDynamicRefs(openapi.v31));
+  }
+  return validators[version];
+}
+
+/**
+ * Validate one operation against the OpenAPI schema of the target spec's version.
+ * Returns [{ path, message }], where path is relative to the operation
+ * (e.g. "parameters.0.in"). An empty array means the operation is valid.
+ */
+export function validateOperation(spec, path, method, operation) {
+  const validate = getValidator(spec.openapi);
+  // Components are left out: they are not under review and would only add noise
+  const candidate = {
+    openapi: spec.openapi || '3.1.0',
+    info: { title: 'validation', version: '1' },
+    paths: { [path]: { [method]: operation } },
+  };
+
+  const errors = [];
+  if (!validate(candidate)) {
+    const prefix = `/paths/${escapePointer(path)}/${method}`;
+    const seen = new Map();
+    for (const error of validate.errors) {
+      if (NOISE_KEYWORDS.has(error.keyword)) continue;
+      // The "or a Reference Object" branch of every oneOf
+      if (error.keyword === 'required' && error.params.missingProperty === '$ref') continue;
+      const location = toDotPath(error.instancePath.startsWith(prefix) ? error.instancePath.slice(prefix.length) : error.instancePath);
+
+      // Parameter "in" fails one enum branch per location; report them as one error
+      if (error.keyword === 'enum') {
+        const key = `${location}|enum`;
+        if (seen.has(key)) {
+          const merged = seen.get(key);
+          merged.allowed.push(...error.params.allowedValues.filter(v => !merged.allowed.includes(v)));
+          merged.entry.message = `must be one of: ${merged.allowed.join(', ')}`;
+          continue;
+        }
+        const entry = { path: location, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+        seen.set(key, { entry, allowed: [...error.params.allowedValues] });
+        errors.push(entry);
+        continue;
+      }
+
+      const message = error.keyword === 'additionalProperties' || error.keyword === 'unevaluatedProperties'
+        ? `unknown property "${error.params.additionalProperty || error.params.unevaluatedProperty}"`
+        : error.message;
+      const key = `${location}|${message}`;
+      if (seen.has(key)) continue;
+      const entry = { path: location, message };
+      seen.set(key, { entry });
+      errors.push(entry);
+    }
+  }
+
+  errors.push(...validateApidogArrays(operation));
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Check x-apidog-orders and x-apidog-ignore-properties in every schema of an operation.
+ */
+function validateApidogArrays(operation) {
+  const errors = [];
+  walkSchemas(operation, '', (schema, path) => {
+    const at = key => (path ? `${path}.${key}` : key);
+    const properties = Object.keys(schema.properties || {});
+    // Apidog lists merged $ref groups in orders by their x-apidog-refs key
+    const refGroups = Object.keys(schema['x-apidog-refs'] || {});
+
+    for (const key of ['x-apidog-orders', 'x-apidog-ignore-properties']) {
+      const value = schema[key];
+      if (value === undefined) continue;
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        errors.push({ path: at(key), message: 'must be an array of property names' });
+        continue;
+      }
+      const known = key === 'x-apidog-orders' ? [...properties, ...refGroups] : properties;
+      const unknown = value.filter(v => !known.includes(v));
+      if (unknown.length > 0) {
+        errors.push({ path: at(key), message: `lists properties the schema does not have: ${unknown.join(', ')}` });
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Fill in the Apidog fields an operation is missing, in place:
+ * - x-apidog-orders on every object schema, in property order (missing properties are appended)
+ * - x-apidog-status: the existing endpoint's, or DEFAULT_STATUS
+ * - x-apidog-folder: the existing endpoint's, a sibling method's on the same path,
+ *   or one inferred from the path
+ * Returns a list of human-readable changes.
+ */
+export function normalizeOperation(spec, path, method, operation) {
+  const changes = [];
+  const existing = spec.paths?.[path]?.[method];
+
+  walkSchemas(operation, '', (schema, schemaPath) => {
+    if (!schema.properties || typeof schema.properties !== 'object') return;
+    const location = schemaPath || '(root)';
+    const properties = Object.keys(schema.properties);
+    const orders = schema['x-apidog-orders'];
+
+    if (orders === undefined) {
+      schema['x-apidog-orders'] = properties;
+      changes.push(`Added x-apidog-orders at ${location}`);
+    } else if (Array.isArray(orders)) {
+      const missing = properties.filter(p => !orders.includes(p));
+      if (missing.length > 0) {
+        orders.push(...missing);
+        changes.push(`Appended ${missing.join(', ')} to x-apidog-orders at ${location}`);
+      }
+    }
+  });
+
+  if (!operation['x-apidog-status']) {
+    operation['x-apidog-status'] = existing?.['x-apidog-status'] || DEFAULT_STATUS;
+    changes.push(`Set x-apidog-status to "${operation['x-apidog-status']}"${existing?.['x-apidog-status'] ? ' (kept from the existing endpoint)' : ''}`);
+  }
+
+  if (!operation['x-apidog-folder']) {
+    const { folder, source } = defaultFolder(spec, path, method);
+    operation['x-apidog-folder'] = folder;
+    changes.push(`Set x-apidog-folder to "${folder}" (${source})`);
+  }
+
+  return changes;
+}
+
+function defaultFolder(spec, path, method) {
+  const pathItem = spec.paths?.[path] || {};
+  if (pathItem[method]?.['x-apidog-folder']) {
+    return { folder: pathItem[method]['x-apidog-folder'], source: 'kept from the existing endpoint' };
+  }
+  for (const [m, op] of Object.entries(pathItem)) {
+    if (m !== method && op?.['x-apidog-folder']) {
+      return { folder: op['x-apidog-folder'], source: `same as ${m.toUpperCase()} ${path}` };
+    }
+  }
+  return { folder: inferFolderFromPath(path), source: 'inferred from the path' };
+}
+
+/**
+ * The 3.1 schema points Schema Objects at its "meta" anchor through $dynamicRef,
+ * which Ajv resolves to the document root. Point them at the anchor's
+ * definition directly; Schema Objects are then only checked to be objects or booleans.
+ */
+function resolveDynamicRefs(schema) {
+  const [anchorPath] = Object.entries(schema.$defs).find(([, def]) => def.$dynamicAnchor === 'meta') || [];
+  const replace = node => {
+    if (Array.isArray(node)) return node.map(replace);
+    if (!node || typeof node !== 'object') return node;
+    if (node.$dynamicRef === '#meta' && anchorPath) return { $ref: `#/$defs/${anchorPath}` };
+    return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, replace(v)]));
+  };
+  return replace(schema);
+}
+
+function escapePointer(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function toDotPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .join('.') || '(operation)';
+}
@@ -0,0 +1,65 @@
+/**
+ * Project Registry
+ *
+ * Holds the named Apidog projects this server can talk to, so one server
+ * covers several projects instead of one server per project.
+ * Each project gets its own ApidogClient (own token, export cache and snapshots),
+ * created lazily on first use.
+ */
+
+export class ProjectRegistry {
+  /**
+   * projects: { [name]: { projectId, accessToken, lint?, statusTransitions? } }
+   * createClient(project) → ApidogClient for one project entry
+   */
+  constructor(projects, { defaultProject, createClient }) {
+    if (Object.keys(projects).length === 0) {
+      throw new Error('At least one Apidog project must be configured');
+    }
+    if (!projects[defaultProject]) {
+      throw new Error(`Default project "${defaultProject}" is not in the project list`);
+    }
+    this.projects = projects;
+    this.defaultProject = defaultProject;
+    this.createClient = createClient;
+    this.clients = new Map();
+  }
+
+  /**
+   * Client for a named project, or the default project when name is omitted.
+   */
+  get(name) {
+    const project = this.project(name);
+    if (!this.clients.has(project.name)) {
+      this.clients.set(project.name, this.createClient(project));
+    }
+    return this.clients.get(project.name);
+  }
+
+  /**
+   * Configuration entry for a named project (or the default one), including its name.
+   */
+  project(name) {
+    const projectName = name || this.defaultProject;
+    const project = this.projects[projectName];
+    if (!project) {
+      throw new Error(`Unknown project "${projectName}". Available projects: ${this.names().join(', ')}`);
+    }
+    return { name: projectName, ...project };
+  }
+
+  names() {
+    return Object.keys(this.projects);
+  }
+
+  /**
+   * Project list without tokens, safe to return to the model.
+   */
+  list() {
+    return this.names().map(name => ({
+      name,
+      projectId: this.projects[name].projectId,
+      default: name === this.defaultProject,
+    }));
+  }
+}
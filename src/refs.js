@@ -0,0 +1,241 @@
+/**
+ * $ref Utilities
+ *
+ * Helpers for following `#/components/...` references inside an exported spec.
+ */
+
+import { HTTP_METHODS } from './apidog-client.js';
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+const HTTP_METHOD_KEYS = new Set(HTTP_METHODS);
+
+/**
+ * Collect every component schema a node references, following refs
+ * transitively through schemas and the other component types
+ * (a response component that points at a schema counts too).
+ * Cycles are visited once. Returns { [name]: schema } for the schemas that exist in the spec.
+ */
+export function collectReferencedSchemas(spec, node) {
+  return collectReferencedComponents(spec, node).schemas || {};
+}
+
+/**
+ * Collect every component a node references, of any type, following refs
+ * transitively. Cycles are visited once.
+ * Returns { schemas: {...}, parameters: {...}, responses: {...}, ... } with only
+ * the types that were actually referenced.
+ */
+export function collectReferencedComponents(spec, node) {
+  const collected = {};
+  const queue = [node];
+
+  while (queue.length > 0) {
+    walkRefs(queue.shift(), ref => {
+      const component = parseComponentRef(ref);
+      if (!component || component.name in (collected[component.type] || {})) return;
+      const value = spec.components?.[component.type]?.[component.name];
+      if (value === undefined) return;
+      (collected[component.type] = collected[component.type] || {})[component.name] = value;
+      queue.push(value);
+    });
+  }
+
+  return collected;
+}
+
+/**
+ * Copy of a node with every internal $ref replaced by its target.
+ * Refs that would recurse into themselves are left as $ref and reported.
+ * Sibling keys next to a $ref (summary, description) override the target's.
+ * Returns { value, circularRefs }.
+ */
+export function dereference(spec, node) {
+  const circularRefs = new Set();
+
+  const inline = (value, expanding) => {
+    if (Array.isArray(value)) return value.map(item => inline(item, expanding));
+    if (!value || typeof value !== 'object') return value;
+
+    if (typeof value.$ref === 'string') {
+      const { $ref, ...siblings } = value;
+      const target = resolveRef(spec, $ref);
+      if (target === undefined) return value;
+      if (expanding.has($ref)) {
+        circularRefs.add($ref);
+        return value;
+      }
+      const resolved = inline(target, new Set([...expanding, $ref]));
+      return resolved && typeof resolved === 'object' && !Array.isArray(resolved)
+        ? { ...resolved, ...inline(siblings, expanding) }
+        : resolved;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, inline(v, expanding)]));
+  };
+
+  return { value: inline(node, new Set()), circularRefs: [...circularRefs] };
+}
+
+/**
+ * Names of the component schemas referenced directly by a node.
+ */
+export function findSchemaRefs(node) {
+  const names = new Set();
+  walkRefs(node, ref => {
+    if (ref.startsWith(SCHEMA_REF_PREFIX)) names.add(decodeRefName(ref.slice(SCHEMA_REF_PREFIX.length)));
+  });
+  return [...names];
+}
+
+/**
+ * Call visit(ref) for every $ref string in a node.
+ */
+export function walkRefs(node, visit) {
+  if (Array.isArray(node)) {
+    for (const item of node) walkRefs(item, visit);
+  } else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') visit(node.$ref);
+    for (const value of Object.values(node)) walkRefs(value, visit);
+  }
+}
+
+function parseComponentRef(ref) {
+  const match = ref.match(/^#\/components\/([^/]+)\/([^/]+)$/);
+  return match ? { type: match[1], name: decodeRefName(match[2]) } : null;
+}
+
+function decodeRefName(name) {
+  return name.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Resolve an internal ref (`#/components/schemas/User`) against a spec.
+ * Returns undefined when the pointer does not resolve.
+ */
+export function resolveRef(spec, ref) {
+  if (!ref.startsWith('#')) return undefined;
+  let current = spec;
+  for (const segment of ref.slice(1).split('/').slice(1).map(decodeRefName)) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Find internal $refs that point to nothing, across paths, webhooks and components.
+ * Returns [{ ref, location, path }] where location is 'GET /x' or 'schemas.User'.
+ */
+export function findDanglingRefs(spec) {
+  const dangling = [];
+  const check = (node, location) => {
+    walkRefsWithPath(node, [], (ref, path) => {
+      if (ref.startsWith('#') && resolveRef(spec, ref) === undefined) {
+        dangling.push({ ref, location, path: path.join('.') });
+      }
+    });
+  };
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const [key, value] of Object.entries(pathItem || {})) {
+      check(value, HTTP_METHOD_KEYS.has(key) ? `${key.toUpperCase()} ${path}` : `${path} (${key})`);
+    }
+  }
+  for (const [name, webhook] of Object.entries(spec.webhooks || {})) {
+    check(webhook, `webhook ${name}`);
+  }
+  for (const [type, entries] of Object.entries(spec.components || {})) {
+    for (const [name, value] of Object.entries(entries || {})) {
+      check(value, `${type}.${name}`);
+    }
+  }
+
+  return dangling;
+}
+
+/**
+ * Component schemas that nothing reachable from paths or webhooks uses.
+ * Refs are followed transitively through every component type, so a schema
+ * only used by another orphan is an orphan too.
+ */
+export function findOrphanedSchemas(spec) {
+  const reachable = collectReferencedSchemas(spec, [spec.paths, spec.webhooks]);
+  return Object.keys(spec.components?.schemas || {}).filter(name => !(name in reachable));
+}
+
+/**
+ * Where a component schema is referenced from: ['GET /x', 'schemas.Invoice', ...].
+ */
+export function findSchemaUsages(spec, name) {
+  const target = schemaRef(name);
+  const usages = new Set();
+  const check = (node, location) => walkRefs(node, ref => {
+    if (ref === target) usages.add(location);
+  });
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const [key, value] of Object.entries(pathItem || {})) {
+      check(value, HTTP_METHOD_KEYS.has(key) ? `${key.toUpperCase()} ${path}` : `${path} (${key})`);
+    }
+  }
+  for (const [type, entries] of Object.entries(spec.components || {})) {
+    for (const [entryName, value] of Object.entries(entries || {})) {
+      if (!(type === 'schemas' && entryName === name)) check(value, `${type}.${entryName}`);
+    }
+  }
+
+  return [...usages];
+}
+
+function walkRefsWithPath(node, path, visit) {
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => walkRefsWithPath(item, [...path, i], visit));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') visit(node.$ref, path);
+    for (const [key, value] of Object.entries(node)) walkRefsWithPath(value, [...path, key], visit);
+  }
+}
+
+/**
+ * Rewrite $refs in place. rewrite(ref) returns the new ref (or the same one).
+ * discriminator.mapping values are refs too and are rewritten the same way.
+ * Returns the number of refs changed.
+ */
+export function rewriteRefs(node, rewrite) {
+  let count = 0;
+  const visit = current => {
+    if (Array.isArray(current)) {
+      current.forEach(visit);
+      return;
+    }
+    if (!current || typeof current !== 'object') return;
+
+    if (typeof current.$ref === 'string') {
+      const next = rewrite(current.$ref);
+      if (next !== current.$ref) {
+        current.$ref = next;
+        count++;
+      }
+    }
+    const mapping = current.discriminator?.mapping;
+    if (mapping && typeof mapping === 'object') {
+      for (const [key, ref] of Object.entries(mapping)) {
+        const next = typeof ref === 'string' ? rewrite(ref) : ref;
+        if (next !== ref) {
+          mapping[key] = next;
+          count++;
+        }
+      }
+    }
+    for (const value of Object.values(current)) visit(value);
+  };
+  visit(node);
+  return count;
+}
+
+/**
+ * The ref string pointing at a component schema.
+ */
+export function schemaRef(name) {
+  return `${SCHEMA_REF_PREFIX}${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
@@ -0,0 +1,216 @@
+/**
+ * Route Coverage
+ *
+ * Compares the routes an application really serves with the endpoints
+ * documented in Apidog, to find what is missing on either side.
+ *
+ * Accepted route manifests (JSON file, or the parsed value inline):
+ * - `php artisan route:list --json`        [{ method: "GET|HEAD", uri: "api/users/{id}", name }]
+ * - Express dumps (express-list-endpoints)  [{ path: "/users/:id", methods: ["GET"] }]
+ * - Plain lists                             ["GET /users/{id}", { method, path }]
+ * - A text file with one "METHOD /path" per line (# starts a comment)
+ *
+ * Path parameters are compared by position only, so {id}, {user}, :id,
+ * {id?} and <id> all match each other.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { ApidogClient, HTTP_METHODS } from './apidog-client.js';
+import { globToRegExp } from './endpoint-selector.js';
+import { inferFolderFromPath } from './folder-organizer.js';
+
+// Methods frameworks register implicitly; they are never expected in the docs
+const IMPLICIT_METHODS = new Set(['HEAD', 'OPTIONS']);
+const ANY_METHOD = '*';
+
+/**
+ * Read a route manifest from a local file. JSON files are parsed as JSON,
+ * anything else as a "METHOD /path" list.
+ */
+export async function loadRouteManifest(inputPath) {
+  const absolutePath = resolve(inputPath);
+  let text;
+  try {
+    text = await readFile(absolutePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Route manifest not found: ${absolutePath}`);
+    throw error;
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Could not parse ${absolutePath} as JSON: ${error.message}`);
+    }
+  }
+  return trimmed.split('\n').map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Turn any supported manifest into a flat list of { method, path, name }.
+ * HEAD and OPTIONS are dropped; "ANY" / "ALL" / "*" become method "*".
+ */
+export function parseRouteManifest(manifest) {
+  const entries = Array.isArray(manifest) ? manifest : manifest?.routes;
+  if (!Array.isArray(entries)) {
+    throw new Error('Route manifest must be an array of routes (or an object with a routes array)');
+  }
+
+  const routes = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    for (const route of parseRouteEntry(entry)) {
+      const key = `${route.method} ${normalizeRoutePath(route.path)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      routes.push(route);
+    }
+  }
+  return routes;
+}
+
+/**
+ * Match routes against the documented endpoints.
+ *
+ * Options:
+ *   include — path globs; only routes matching one of them are checked (e.g. ["/api/**"])
+ *   ignore  — path globs of routes to leave out (health checks, framework routes, ...)
+ *
+ * Routes missing from Apidog get the folder of a documented endpoint on the same
+ * path, or one inferred from the path (folderInferred: true).
+ */
+export function routeCoverage(spec, routes, { include = [], ignore = [] } = {}) {
+  const includeRes = include.map(g => globToRegExp(normalizeRoutePath(g)));
+  const ignoreRes = ignore.map(g => globToRegExp(normalizeRoutePath(g)));
+  const inScope = path => {
+    const normalized = normalizeRoutePath(path);
+    if (includeRes.length > 0 && !includeRes.some(re => re.test(normalized))) return false;
+    return !ignoreRes.some(re => re.test(normalized));
+  };
+
+  const documented = ApidogClient.parseEndpoints(spec).map(ep => ({ ...ep, key: routeKey(ep.path) }));
+  const byPath = new Map();
+  for (const ep of documented) {
+    if (!byPath.has(ep.key)) byPath.set(ep.key, []);
+    byPath.get(ep.key).push(ep);
+  }
+
+  const checkedRoutes = routes.filter(r => inScope(r.path));
+  const matched = new Set();
+  const missing = [];
+  const folders = new Map();
+  const folderStats = name => {
+    if (!folders.has(name)) folders.set(name, { folder: name, routes: 0, documented: 0, missing: 0, notInRoutes: 0 });
+    return folders.get(name);
+  };
+
+  for (const route of checkedRoutes) {
+    const candidates = byPath.get(routeKey(route.path)) || [];
+    const hits = route.method === ANY_METHOD ? candidates : candidates.filter(ep => ep.method === route.method);
+
+    if (hits.length > 0) {
+      for (const ep of hits) matched.add(ep);
+      const stats = folderStats(hits[0].folder || '(no folder)');
+      stats.routes++;
+      stats.documented++;
+      continue;
+    }
+
+    const sibling = candidates.find(ep => ep.folder);
+    const folder = sibling ? sibling.folder : inferFolderFromPath(normalizeRoutePath(route.path));
+    missing.push({
+      method: route.method,
+      path: route.path,
+      ...(route.name && { name: route.name }),
+      folder,
+      ...(!sibling && { folderInferred: true }),
+    });
+    const stats = folderStats(folder || '(no folder)');
+    stats.routes++;
+    stats.missing++;
+  }
+
+  // Documented endpoints are only expected in the manifest when they fall in scope
+  const notInRoutes = documented
+    .filter(ep => !matched.has(ep) && inScope(ep.path))
+    .map(ep => ({ endpoint: `${ep.method} ${ep.path}`, folder: ep.folder, status: ep.status }));
+  for (const ep of notInRoutes) folderStats(ep.folder || '(no folder)').notInRoutes++;
+
+  const byFolder = [...folders.values()]
+    .map(f => ({ ...f, coverage: percentage(f.documented, f.routes) }))
+    .sort((a, b) => (a.coverage ?? 101) - (b.coverage ?? 101) || a.folder.localeCompare(b.folder));
+
+  return {
+    summary: {
+      routes: checkedRoutes.length,
+      documented: checkedRoutes.length - missing.length,
+      missingFromApidog: missing.length,
+      notInRoutes: notInRoutes.length,
+      coverage: percentage(checkedRoutes.length - missing.length, checkedRoutes.length),
+    },
+    byFolder,
+    missingFromApidog: missing.sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method)),
+    notInRoutes,
+  };
+}
+
+function parseRouteEntry(entry) {
+  if (typeof entry === 'string') {
+    const [method, ...rest] = entry.trim().split(/\s+/);
+    if (rest.length === 0) throw new Error(`Route "${entry}" must be "METHOD /path"`);
+    return toRoutes(method, rest.join(' '));
+  }
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Unsupported route entry: ${JSON.stringify(entry)}`);
+  }
+
+  // Laravel: { method: "GET|HEAD", uri }, Express: { path, methods } or { path, method }
+  const path = entry.uri ?? entry.path ?? entry.url ?? entry.route;
+  const methods = entry.methods ?? entry.method ?? entry.verb;
+  if (typeof path !== 'string' || !methods) {
+    throw new Error(`Route entry needs a method and a path/uri: ${JSON.stringify(entry)}`);
+  }
+  return toRoutes(methods, path, entry.name);
+}
+
+function toRoutes(methods, path, name) {
+  const list = Array.isArray(methods) ? methods : String(methods).split(/[|,]/);
+  return list
+    .map(m => m.trim().toUpperCase())
+    .filter(m => m && !IMPLICIT_METHODS.has(m))
+    .map(m => ({
+      method: ['ANY', 'ALL', '*'].includes(m) ? ANY_METHOD : m,
+      path: path.startsWith('/') ? path : `/${path}`,
+      ...(name && { name }),
+    }))
+    .filter(route => route.method === ANY_METHOD || HTTP_METHODS.includes(route.method.toLowerCase()));
+}
+
+/**
+ * Leading slash, no trailing slash, every path parameter written as {id}-style.
+ */
+function normalizeRoutePath(path) {
+  const withSlash = path.startsWith('/') ? path : `/${path}`;
+  return withSlash
+    .replace(/\{[^}]*\}|:[A-Za-z_][\w]*(\([^)]*\))?\??|<[^>]*>/g, match => `{${paramName(match)}}`)
+    .replace(/(.)\/+$/, '$1');
+}
+
+// {id?} / {id:\d+} (Laravel, ASP.NET), :id(\d+) (Express), <int:id> (Flask)
+function paramName(match) {
+  const inner = match.replace(/^[{:<]|[}>]$/g, '').replace(/\(.*\)|\?$/g, '');
+  const parts = inner.split(':');
+  return (match.startsWith('<') ? parts.pop() : parts[0]) || 'param';
+}
+
+// Comparison key: parameter names do not matter, only their position
+function routeKey(path) {
+  return normalizeRoutePath(path).replace(/\{[^}]*\}/g, '{}');
+}
+
+function percentage(part, total) {
+  return total === 0 ? null : Math.round((part / total) * 1000) / 10;
+}
@@ -0,0 +1,115 @@
+/**
+ * Snapshot Store
+ *
+ * Keeps a local history of the spec as it was right before each write.
+ * Every import through a write tool saves the pre-import export here,
+ * so any change can be inspected and rolled back later.
+ *
+ * Layout (one directory per project):
+ *   <dir>/<id>.meta.json  → { id, createdAt, tool, summary, endpointCount, schemaCount }
+ *   (id: <timestamp>_<tool>_<random suffix>)
+ *   <dir>/<id>.spec.json  → the full exported spec
+ *
+ * Metadata is stored separately so listing never has to read full specs.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { mkdir, readdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ApidogClient } from './apidog-client.js';
+
+const DEFAULT_MAX_SNAPSHOTS = 50;
+
+export class SnapshotStore {
+  constructor(dir, { maxSnapshots = DEFAULT_MAX_SNAPSHOTS } = {}) {
+    this.dir = dir;
+    this.maxSnapshots = maxSnapshots;
+  }
+
+  /**
+   * Save a spec with the tool name and a human-readable summary.
+   * Returns the snapshot metadata.
+   */
+  async save(spec, { tool, summary = '' }) {
+    await mkdir(this.dir, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    // The suffix keeps two writes within the same millisecond from sharing an id
+    const id = `${createdAt.replace(/[:.]/g, '-')}_${tool}_${randomBytes(3).toString('hex')}`;
+    const meta = {
+      id,
+      createdAt,
+      tool,
+      summary,
+      endpointCount: ApidogClient.parseEndpoints(spec).length,
+      schemaCount: Object.keys(spec.components?.schemas || {}).length,
+    };
+
+    await writeFile(join(this.dir, `${id}.spec.json`), JSON.stringify(spec));
+    await writeFile(join(this.dir, `${id}.meta.json`), JSON.stringify(meta, null, 2));
+    await this.prune();
+
+    return meta;
+  }
+
+  /**
+   * List snapshot metadata, newest first.
+   */
+  async list({ limit } = {}) {
+    const ids = await this.ids();
+    const selected = limit ? ids.slice(0, limit) : ids;
+    const metas = [];
+    for (const id of selected) {
+      metas.push(JSON.parse(await readFile(join(this.dir, `${id}.meta.json`), 'utf8')));
+    }
+    return metas;
+  }
+
+  /**
+   * Load a snapshot by id. Returns { meta, spec }.
+   */
+  async load(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid snapshot id "${id}"`);
+    }
+    let meta;
+    try {
+      meta = JSON.parse(await readFile(join(this.dir, `${id}.meta.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`Snapshot "${id}" not found`);
+      throw error;
+    }
+    const spec = JSON.parse(await readFile(join(this.dir, `${id}.spec.json`), 'utf8'));
+    return { meta, spec };
+  }
+
+  /**
+   * Snapshot ids, newest first. Ids start with an ISO timestamp so they sort by time.
+   */
+  async ids() {
+    let files;
+    try {
+      files = await readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files
+      .filter(f => f.endsWith('.meta.json'))
+      .map(f => f.slice(0, -'.meta.json'.length))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * Drop the oldest snapshots beyond maxSnapshots.
+   */
+  async prune() {
+    if (!this.maxSnapshots) return;
+    const ids = await this.ids();
+    for (const id of ids.slice(this.maxSnapshots)) {
+      await rm(join(this.dir, `${id}.meta.json`), { force: true });
+      await rm(join(this.dir, `${id}.spec.json`), { force: true });
+    }
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Spec Loader
+ *
+ * Reads OpenAPI specs from the local filesystem, so large or generated
+ * specs (Scramble, CI builds) never have to pass through the tool call.
+ *
+ * Supports:
+ * - Single JSON or YAML files
+ * - Directories of split files (entry point: openapi.yaml / openapi.json / index.yaml)
+ *   with external $refs, bundled into one self-contained spec
+ * - Writing a spec back to a local JSON or YAML file
+ */
+
+import { readFile, writeFile, stat, mkdir } from 'node:fs/promises';
+import { resolve, dirname, extname, basename, join } from 'node:path';
+import YAML from 'yaml';
+
+const ENTRY_POINTS = ['openapi.yaml', 'openapi.yml', 'openapi.json', 'index.yaml', 'index.yml', 'index.json'];
+const COMPONENT_TYPES = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'securitySchemes', 'links', 'callbacks'];
+const SCHEMA_KEYS = new Set(['schema', 'items', 'additionalProperties', 'not']);
+const SCHEMA_LIST_KEYS = new Set(['allOf', 'oneOf', 'anyOf', 'prefixItems']);
+const SCHEMA_MAP_KEYS = new Set(['properties', 'patternProperties']);
+
+/**
+ * Load an OpenAPI spec from a local file or directory.
+ * External $refs are bundled so the result only contains internal refs.
+ * Relative paths are resolved against the server's working directory.
+ */
+export async function loadSpec(inputPath) {
+  const entryPath = await resolveEntryPoint(resolve(inputPath));
+  const bundler = new Bundler();
+  const spec = await bundler.bundle(entryPath);
+  assertOpenApiSpec(spec, entryPath);
+  return spec;
+}
+
+/**
+ * Write a spec to a local file. Format comes from `format` or the file extension
+ * (.yaml / .yml → YAML, anything else → JSON).
+ * Returns { path, format, bytes }.
+ */
+export async function writeSpecFile(spec, outputPath, { format } = {}) {
+  const absolutePath = resolve(outputPath);
+  const resolvedFormat = format || (/\.ya?ml$/i.test(absolutePath) ? 'yaml' : 'json');
+  const text = resolvedFormat === 'yaml'
+    ? YAML.stringify(spec, { aliasDuplicateObjects: false, lineWidth: 0 })
+    : JSON.stringify(spec, null, 2) + '\n';
+
+  await mkdir(dirname(absolutePath), { recursive: true });
+  await writeFile(absolutePath, text);
+  return { path: absolutePath, format: resolvedFormat, bytes: Buffer.byteLength(text) };
+}
+
+async function resolveEntryPoint(absolutePath) {
+  let stats;
+  try {
+    stats = await stat(absolutePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Spec file not found: ${absolutePath}`);
+    throw error;
+  }
+  if (!stats.isDirectory()) return absolutePath;
+
+  for (const name of ENTRY_POINTS) {
+    const candidate = join(absolutePath, name);
+    try {
+      if ((await stat(candidate)).isFile()) return candidate;
+    } catch {
+      // try the next entry point
+    }
+  }
+  throw new Error(`No entry point found in ${absolutePath} (expected one of: ${ENTRY_POINTS.join(', ')})`);
+}
+
+async function parseFile(absolutePath) {
+  let text;
+  try {
+    text = await readFile(absolutePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Spec file not found: ${absolutePath}`);
+    throw error;
+  }
+
+  const ext = extname(absolutePath).toLowerCase();
+  try {
+    if (ext === '.json') return JSON.parse(text);
+    return YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${absolutePath} as ${ext === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves external $refs across files.
+ *
+ * - Refs to `components/<type>/<Name>` in another file are hoisted into the
+ *   root spec's components under the same name.
+ * - Other refs used where a schema is expected are hoisted into
+ *   components.schemas, named after the file (and pointer).
+ * - Everything else (path items, examples, ...) is inlined.
+ */
+class Bundler {
+  constructor() {
+    this.files = new Map();
+    this.hoisted = new Map();
+    this.root = null;
+    this.rootPath = null;
+  }
+
+  async bundle(entryPath) {
+    this.rootPath = entryPath;
+    const source = await this.load(entryPath);
+    this.root = { components: {} };
+
+    // Reserve the root's own component names first so hoisted ones never take them
+    const rootComponents = source.components || {};
+    for (const [type, entries] of Object.entries(rootComponents)) {
+      if (entries && typeof entries === 'object' && !Array.isArray(entries)) {
+        this.root.components[type] = Object.fromEntries(Object.keys(entries).map(name => [name, {}]));
+      } else {
+        this.root.components[type] = entries;
+      }
+    }
+    for (const [type, entries] of Object.entries(rootComponents)) {
+      if (!entries || typeof entries !== 'object' || Array.isArray(entries)) continue;
+      for (const [name, value] of Object.entries(entries)) {
+        this.root.components[type][name] = await this.walkRootComponent(value, type, name);
+      }
+    }
+
+    const bundled = {};
+    for (const [key, value] of Object.entries(source)) {
+      bundled[key] = key === 'components'
+        ? this.root.components
+        : await this.walk(value, entryPath, [key], new Set());
+    }
+    if (!('components' in bundled) && Object.keys(this.root.components).length > 0) {
+      bundled.components = this.root.components;
+    }
+    return bundled;
+  }
+
+  /**
+   * A root component that is itself an external $ref (the usual split-file
+   * layout: `User: { $ref: ./schemas/User.yaml }`) becomes that component,
+   * so other refs to the same file resolve to it by name.
+   */
+  async walkRootComponent(value, type, name) {
+    const keyPath = ['components', type, name];
+    if (typeof value?.$ref !== 'string' || value.$ref.startsWith('#')) {
+      return this.walk(value, this.rootPath, keyPath, new Set());
+    }
+    const [refFile, pointer = ''] = value.$ref.split('#');
+    const targetPath = resolve(dirname(this.rootPath), refFile);
+    this.hoisted.set(`${targetPath}#${pointer}`, { name });
+    const target = resolvePointer(await this.load(targetPath), pointer, targetPath);
+    return this.walk(target, targetPath, keyPath, new Set());
+  }
+
+  async load(absolutePath) {
+    if (!this.files.has(absolutePath)) {
+      this.files.set(absolutePath, await parseFile(absolutePath));
+    }
+    return this.files.get(absolutePath);
+  }
+
+  async walk(node, filePath, keyPath, inlining) {
+    if (Array.isArray(node)) {
+      const out = [];
+      for (let i = 0; i < node.length; i++) out.push(await this.walk(node[i], filePath, [...keyPath, i], inlining));
+      return out;
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    if (typeof node.$ref === 'string') {
+      return this.resolveRef(node, filePath, keyPath, inlining);
+    }
+
+    const out = {};
+    for (const [key, value] of Object.entries(node)) {
+      out[key] = await this.walk(value, filePath, [...keyPath, key], inlining);
+    }
+    return out;
+  }
+
+  async resolveRef(node, filePath, keyPath, inlining) {
+    const [refFile, pointer = ''] = node.$ref.split('#');
+    const targetPath = refFile ? resolve(dirname(filePath), refFile) : filePath;
+
+    // Internal refs in the root file stay as they are
+    if (targetPath === this.rootPath) {
+      if (!refFile) return node;
+      return { ...node, $ref: `#${pointer}` };
+    }
+
+    const componentMatch = pointer.match(/^\/components\/([^/]+)\/([^/]+)$/);
+    const type = componentMatch && COMPONENT_TYPES.includes(componentMatch[1])
+      ? componentMatch[1]
+      : (isSchemaPosition(keyPath) ? 'schemas' : null);
+
+    if (type) {
+      const name = await this.hoist(targetPath, pointer, type, componentMatch ? decodePointerSegment(componentMatch[2]) : null);
+      return { $ref: `#/components/${type}/${name}` };
+    }
+
+    const refKey = `${targetPath}#${pointer}`;
+    if (inlining.has(refKey)) {
+      throw new Error(`Circular $ref "${node.$ref}" in ${filePath} cannot be inlined; move the target under components`);
+    }
+    const target = resolvePointer(await this.load(targetPath), pointer, targetPath);
+    return this.walk(target, targetPath, keyPath, new Set([...inlining, refKey]));
+  }
+
+  async hoist(targetPath, pointer, type, componentName) {
+    const refKey = `${targetPath}#${pointer}`;
+    if (this.hoisted.has(refKey)) return this.hoisted.get(refKey).name;
+
+    const baseName = componentName
+      || [basename(targetPath, extname(targetPath)), ...pointer.split('/').filter(Boolean).slice(-1).map(decodePointerSegment)].join('_');
+    const bucket = (this.root.components[type] = this.root.components[type] || {});
+    let name = baseName;
+    for (let i = 2; name in bucket; i++) name = `${baseName}${i}`;
+
+    // Reserve the name before walking so cycles resolve to the same component
+    this.hoisted.set(refKey, { name });
+    bucket[name] = {};
+
+    const target = resolvePointer(await this.load(targetPath), pointer, targetPath);
+    bucket[name] = await this.walk(target, targetPath, ['components', type, name], new Set());
+    return name;
+  }
+}
+
+function isSchemaPosition(keyPath) {
+  const last = keyPath[keyPath.length - 1];
+  const parent = keyPath[keyPath.length - 2];
+  if (SCHEMA_KEYS.has(last)) return true;
+  if (typeof last === 'number' && SCHEMA_LIST_KEYS.has(parent)) return true;
+  if (SCHEMA_MAP_KEYS.has(parent)) return true;
+  if (parent === 'schemas' && keyPath[keyPath.length - 3] === 'components') return true;
+  return false;
+}
+
+function resolvePointer(doc, pointer, source) {
+  if (!pointer || pointer === '/') return doc;
+  let current = doc;
+  for (const segment of pointer.split('/').slice(1).map(decodePointerSegment)) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      throw new Error(`$ref pointer "#${pointer}" not found in ${source}`);
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function decodePointerSegment(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function assertOpenApiSpec(spec, source) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${source} does not contain an OpenAPI object`);
+  }
+  if (!spec.openapi && !spec.swagger) {
+    throw new Error(`${source} is missing the "openapi" version field`);
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Status Workflow
+ *
+ * Apidog endpoint statuses (x-apidog-status) and the transitions allowed
+ * between them when a status change is enforced:
+ *
+ *   designing → developing → testing → released → deprecated → obsolete
+ *
+ * with side steps for pending, integrating, tested and exception, and the
+ * possibility to step back (e.g. testing → developing when a bug is found).
+ * A project can replace the map with `statusTransitions` in the projects file.
+ */
+
+export const STATUSES = [
+  'designing',
+  'pending',
+  'developing',
+  'integrating',
+  'testing',
+  'tested',
+  'released',
+  'deprecated',
+  'exception',
+  'obsolete',
+];
+
+export const DEFAULT_STATUS_TRANSITIONS = {
+  designing: ['pending', 'developing'],
+  pending: ['designing', 'developing'],
+  developing: ['designing', 'integrating', 'testing'],
+  integrating: ['developing', 'testing'],
+  testing: ['developing', 'tested', 'released', 'exception'],
+  tested: ['testing', 'released'],
+  released: ['developing', 'deprecated', 'exception'],
+  exception: ['developing', 'testing'],
+  deprecated: ['released', 'obsolete'],
+  obsolete: [],
+};
+
+/**
+ * Whether an endpoint may move from one status to another.
+ * Endpoints without a status may move to any status.
+ */
+export function isTransitionAllowed(from, to, transitions = DEFAULT_STATUS_TRANSITIONS) {
+  if (!from || from === to) return true;
+  return (transitions[from] || []).includes(to);
+}
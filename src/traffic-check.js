@@ -0,0 +1,443 @@
+/**
+ * Traffic Check
+ *
+ * Replays recorded traffic against the documented contract to find where the
+ * docs and the API disagree. Each exchange is matched to an operation by method
+ * and templated path, then checked for:
+ *
+ * - status codes that are not documented
+ * - missing, invalid and undocumented parameters
+ * - request / response bodies: missing fields, extra fields, type mismatches
+ *   and other constraint violations (enum, format, min/max, ...)
+ *
+ * Accepted recordings:
+ * - HAR files (browser dev tools, proxies)
+ * - JSONL, one exchange per line, either flat
+ *     { method, url, status, requestHeaders, requestBody, responseHeaders, responseBody }
+ *   or nested
+ *     { request: { method, url, headers, body }, response: { status, headers, body } }
+ *
+ * With proposePatches, observed values are turned into schema additions
+ * (undocumented status codes, extra fields, undocumented request bodies) that can
+ * be reviewed and sent with apidog_upsert_endpoint / apidog_upsert_schema.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { STATUS_CODES } from 'node:http';
+import { resolve } from 'node:path';
+import { compileRoutes, createContractValidator, findResponse, matchRoute, serverBasePath } from './contract.js';
+import { resolveRef } from './refs.js';
+
+// Ajv reports these for every failing branch; the branch errors themselves are kept
+const NOISE_KEYWORDS = new Set(['oneOf', 'anyOf', 'if', 'not', 'additionalProperties']);
+const MAX_ARRAY_ITEMS = 20;
+
+/**
+ * Read a HAR or JSONL recording from a local file.
+ */
+export async function loadTraffic(inputPath) {
+  const absolutePath = resolve(inputPath);
+  let text;
+  try {
+    text = await readFile(absolutePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Traffic file not found: ${absolutePath}`);
+    throw error;
+  }
+  return parseTraffic(text, absolutePath);
+}
+
+/**
+ * Parse a HAR document or JSONL text into exchanges:
+ * { method, url, requestHeaders, requestBody, status, responseHeaders, responseBody }.
+ * Header names are lower-cased; bodies are strings, objects or undefined.
+ */
+export function parseTraffic(text, source = 'traffic') {
+  const trimmed = text.trim();
+  const har = parseJson(trimmed);
+  if (Array.isArray(har?.log?.entries)) return har.log.entries.map(fromHarEntry);
+
+  return trimmed
+    .split('\n')
+    .map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line)
+    .map(([line, lineNumber]) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Could not parse line ${lineNumber} of ${source}: ${error.message}`);
+      }
+      return fromRecord(record, source, lineNumber);
+    });
+}
+
+/**
+ * Check exchanges against the spec. Returns a report per endpoint, the
+ * exchanges that matched no documented endpoint and, with proposePatches,
+ * suggested operation and schema updates.
+ */
+export function checkTraffic(spec, exchanges, { proposePatches = false } = {}) {
+  const routes = compileRoutes(spec);
+  const basePath = serverBasePath(spec);
+  const contract = createContractValidator(spec);
+  const patched = proposePatches ? structuredClone(spec) : null;
+  const endpoints = new Map();
+  const unmatched = new Map();
+
+  for (const exchange of exchanges) {
+    const url = new URL(exchange.url, 'http://localhost');
+    const match = matchRoute(routes, url.pathname, { basePath });
+    const route = match?.routes.find(r => r.method === exchange.method);
+    if (!route) {
+      const key = `${exchange.method} ${url.pathname}`;
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+      continue;
+    }
+
+    const key = `${route.method} ${route.path}`;
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { endpoint: key, exchanges: 0, statusCodes: {}, undocumentedStatusCodes: new Set(), issues: new Map() });
+    }
+    const report = endpoints.get(key);
+    report.exchanges++;
+    const addIssue = (kind, location, path, message) => {
+      const id = `${kind}|${location}|${path}|${message}`;
+      const issue = report.issues.get(id) || { kind, location, ...(path && { path }), message, count: 0 };
+      issue.count++;
+      report.issues.set(id, issue);
+    };
+    const operationPointer = ['paths', route.path, route.method.toLowerCase()];
+
+    // Parameters
+    for (const e of contract.checkParameters(route, { params: match.params, query: url.searchParams, headers: exchange.requestHeaders })) {
+      addIssue(e.message === 'is required' ? 'missing-parameter' : 'invalid-parameter', `${e.in} parameter`, e.name, e.message);
+    }
+    const documentedQuery = new Set(route.parameters.filter(p => p.in === 'query').map(p => p.name));
+    for (const name of new Set(url.searchParams.keys())) {
+      if (!documentedQuery.has(name)) addIssue('extra-parameter', 'query parameter', name, 'Not documented');
+    }
+
+    // Request body
+    const requestBodyRef = route.operation.requestBody?.$ref;
+    const requestBody = requestBodyRef ? resolveRef(spec, requestBodyRef) : route.operation.requestBody;
+    const requestData = parseBody(exchange.requestBody, exchange.requestHeaders['content-type']);
+    if (requestData.invalid) {
+      addIssue('invalid-body', 'request body', '', requestData.invalid);
+    } else if (requestData.value !== undefined) {
+      if (!requestBody) {
+        addIssue('undocumented-body', 'request body', '', 'Request body sent but none is documented');
+        if (patched) {
+          const operation = getAt(patched, operationPointer);
+          operation.requestBody ??= { content: { [requestData.mediaType]: { schema: inferSchema(requestData.value) } } };
+        }
+      } else {
+        const { mediaType, media } = pickMedia(requestBody, requestData.mediaType);
+        if (media?.schema) {
+          const pointer = [...(requestBodyRef ? refPointer(requestBodyRef) : [...operationPointer, 'requestBody']), 'content', mediaType, 'schema'];
+          checkBody(spec, contract, media.schema, requestData.value, pointer, 'request body', addIssue, patched);
+        }
+      }
+    } else if (requestBody?.required && !exchange.requestBody) {
+      addIssue('missing-body', 'request body', '', 'Request body is required but none was sent');
+    }
+
+    // Response
+    if (!exchange.status) continue;
+    report.statusCodes[exchange.status] = (report.statusCodes[exchange.status] || 0) + 1;
+    const responseData = parseBody(exchange.responseBody, exchange.responseHeaders['content-type']);
+    const found = findResponse(spec, route.operation, exchange.status);
+    if (!found) {
+      report.undocumentedStatusCodes.add(exchange.status);
+      if (patched) {
+        const operation = getAt(patched, operationPointer);
+        operation.responses ??= {};
+        operation.responses[exchange.status] ??= {
+          description: STATUS_CODES[exchange.status] || 'Response',
+          ...(responseData.value !== undefined && { content: { [responseData.mediaType]: { schema: inferSchema(responseData.value) } } }),
+        };
+      }
+      continue;
+    }
+    const location = `response ${exchange.status}`;
+    if (responseData.invalid) {
+      addIssue('invalid-body', location, '', responseData.invalid);
+      continue;
+    }
+    if (responseData.value === undefined) continue;
+
+    const { mediaType, media } = pickMedia(found.response, responseData.mediaType);
+    if (!media) {
+      addIssue('undocumented-body', location, '', found.response?.content
+        ? `Content-Type "${responseData.mediaType}" is not documented`
+        : 'Response body returned but none is documented');
+      continue;
+    }
+    if (!media.schema) continue;
+    const responseRef = route.operation.responses[found.key]?.$ref;
+    const pointer = [...(responseRef ? refPointer(responseRef) : [...operationPointer, 'responses', found.key]), 'content', mediaType, 'schema'];
+    checkBody(spec, contract, media.schema, responseData.value, pointer, location, addIssue, patched);
+  }
+
+  const reports = [...endpoints.values()]
+    .map(r => ({
+      endpoint: r.endpoint,
+      exchanges: r.exchanges,
+      statusCodes: r.statusCodes,
+      undocumentedStatusCodes: [...r.undocumentedStatusCodes].sort(),
+      issues: [...r.issues.values()].sort((a, b) => b.count - a.count),
+    }))
+    .sort((a, b) => (b.issues.length + b.undocumentedStatusCodes.length) - (a.issues.length + a.undocumentedStatusCodes.length)
+      || a.endpoint.localeCompare(b.endpoint));
+
+  const issuesByKind = {};
+  for (const r of reports) {
+    for (const issue of r.issues) issuesByKind[issue.kind] = (issuesByKind[issue.kind] || 0) + 1;
+  }
+  const unmatchedCount = [...unmatched.values()].reduce((sum, n) => sum + n, 0);
+
+  return {
+    summary: {
+      exchanges: exchanges.length,
+      matched: exchanges.length - unmatchedCount,
+      unmatched: unmatchedCount,
+      endpointsSeen: reports.length,
+      endpointsWithIssues: reports.filter(r => r.issues.length > 0 || r.undocumentedStatusCodes.length > 0).length,
+      undocumentedStatusCodes: reports.reduce((sum, r) => sum + r.undocumentedStatusCodes.length, 0),
+      issuesByKind,
+    },
+    endpoints: reports,
+    unmatched: [...unmatched.entries()]
+      .map(([endpoint, count]) => ({ endpoint, count }))
+      .sort((a, b) => b.count - a.count || a.endpoint.localeCompare(b.endpoint)),
+    ...(patched && { patches: collectPatches(spec, patched) }),
+  };
+}
+
+function checkBody(spec, contract, schema, data, pointer, location, addIssue, patched) {
+  for (const e of contract.checkSchema(schema, data)) {
+    if (NOISE_KEYWORDS.has(e.keyword)) continue;
+    if (e.keyword === 'required') {
+      addIssue('missing-field', location, joinPath(genericPath(e.path), e.params.missingProperty), 'Required field missing');
+    } else if (e.keyword === 'type') {
+      addIssue('type-mismatch', location, genericPath(e.path), `Expected ${[].concat(e.params.type).join(' or ')}, got ${typeOf(getPath(data, e.path))}`);
+    } else {
+      addIssue('constraint', location, genericPath(e.path), e.message);
+    }
+  }
+
+  walkExtraFields(spec, schema, data, '', pointer, [], (path, key, value, ownerPointer) => {
+    addIssue('extra-field', location, joinPath(path, key), 'Field not documented');
+    if (!patched) return;
+    const owner = getAt(patched, ownerPointer);
+    if (!owner) return;
+    owner.properties ??= {};
+    if (owner.properties[key]) return;
+    owner.properties[key] = inferSchema(value);
+    if (Array.isArray(owner['x-apidog-orders'])) owner['x-apidog-orders'].push(key);
+  });
+}
+
+/**
+ * Report object keys the schema does not declare. Objects that allow additional
+ * properties, and oneOf / anyOf branches (ambiguous), are not inspected.
+ * pointer is the location of schema in the spec, for patching.
+ */
+function walkExtraFields(spec, schema, data, path, pointer, refs, visit) {
+  if (!schema || typeof schema !== 'object' || data === null || typeof data !== 'object') return;
+
+  if (schema.$ref) {
+    if (refs.includes(schema.$ref)) return;
+    const target = resolveRef(spec, schema.$ref);
+    walkExtraFields(spec, target, data, path, refPointer(schema.$ref), [...refs, schema.$ref], visit);
+    return;
+  }
+  if (schema.oneOf || schema.anyOf) return;
+
+  if (Array.isArray(data)) {
+    if (!schema.items) return;
+    for (const item of data.slice(0, MAX_ARRAY_ITEMS)) {
+      walkExtraFields(spec, schema.items, item, `${path}[]`, [...pointer, 'items'], refs, visit);
+    }
+    return;
+  }
+
+  const properties = collectProperties(spec, schema, pointer, refs);
+  if (!properties) return;
+  for (const [key, value] of Object.entries(data)) {
+    const property = properties.get(key);
+    if (property) walkExtraFields(spec, property.schema, value, joinPath(path, key), property.pointer, property.refs, visit);
+    else visit(path, key, value, pointer);
+  }
+}
+
+/**
+ * Declared properties of an object schema, across allOf branches.
+ * Returns null when the schema accepts any key.
+ */
+function collectProperties(spec, schema, pointer, refs) {
+  const properties = new Map();
+  let declared = false;
+
+  const collect = (node, nodePointer, nodeRefs) => {
+    if (!node || typeof node !== 'object') return true;
+    if (node.$ref) {
+      if (nodeRefs.includes(node.$ref)) return false;
+      return collect(resolveRef(spec, node.$ref), refPointer(node.$ref), [...nodeRefs, node.$ref]);
+    }
+    if (node.oneOf || node.anyOf) return false;
+    if (node.additionalProperties !== undefined && node.additionalProperties !== false) return false;
+    if (node.properties) declared = true;
+    for (const [key, value] of Object.entries(node.properties || {})) {
+      properties.set(key, { schema: value, pointer: [...nodePointer, 'properties', key], refs: nodeRefs });
+    }
+    return (node.allOf || []).every((branch, i) => collect(branch, [...nodePointer, 'allOf', i], nodeRefs));
+  };
+
+  if (!collect(schema, pointer, refs) || !declared) return null;
+  return properties;
+}
+
+/**
+ * A schema describing an observed value.
+ */
+function inferSchema(value) {
+  if (value === null) return {};
+  if (Array.isArray(value)) return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+  switch (typeof value) {
+    case 'object': {
+      const properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, inferSchema(v)]));
+      return { type: 'object', properties, 'x-apidog-orders': Object.keys(properties) };
+    }
+    case 'number': return { type: Number.isInteger(value) ? 'integer' : 'number', example: value };
+    case 'boolean': return { type: 'boolean', example: value };
+    default: {
+      if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return { type: 'string', format: 'date-time', example: value };
+      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return { type: 'string', format: 'date', example: value };
+      return { type: 'string', example: value };
+    }
+  }
+}
+
+/**
+ * Operations and component schemas that differ between the spec and its patched copy.
+ */
+function collectPatches(spec, patched) {
+  const endpoints = [];
+  for (const [path, pathItem] of Object.entries(patched.paths || {})) {
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (JSON.stringify(operation) !== JSON.stringify(spec.paths[path]?.[method])) {
+        endpoints.push({ method: method.toUpperCase(), path, operation });
+      }
+    }
+  }
+  const schemas = Object.entries(patched.components?.schemas || {})
+    .filter(([name, schema]) => JSON.stringify(schema) !== JSON.stringify(spec.components.schemas[name]))
+    .map(([name, schema]) => ({ name, schema }));
+  const otherComponents = Object.entries(patched.components || {})
+    .filter(([type]) => type !== 'schemas')
+    .flatMap(([type, entries]) => Object.entries(entries || {})
+      .filter(([name, value]) => JSON.stringify(value) !== JSON.stringify(spec.components[type]?.[name]))
+      .map(([name]) => `${type}.${name}`));
+
+  return {
+    endpoints,
+    schemas,
+    ...(otherComponents.length > 0 && { otherComponents }),
+  };
+}
+
+function fromHarEntry(entry) {
+  const { request = {}, response = {} } = entry;
+  const content = response.content || {};
+  return {
+    method: String(request.method || 'GET').toUpperCase(),
+    url: request.url,
+    requestHeaders: { ...(request.postData?.mimeType && { 'content-type': request.postData.mimeType }), ...headerMap(request.headers) },
+    requestBody: request.postData?.text,
+    status: response.status || undefined,
+    responseHeaders: { ...(content.mimeType && { 'content-type': content.mimeType }), ...headerMap(response.headers) },
+    responseBody: content.encoding === 'base64' && content.text ? Buffer.from(content.text, 'base64').toString('utf8') : content.text,
+  };
+}
+
+function fromRecord(record, source, lineNumber) {
+  const request = record.request || record;
+  const response = record.response || record;
+  const url = request.url ?? request.path;
+  if (!request.method || typeof url !== 'string') {
+    throw new Error(`Exchange on line ${lineNumber} of ${source} needs a method and a url or path`);
+  }
+  return {
+    method: String(request.method).toUpperCase(),
+    url,
+    requestHeaders: headerMap(record.request ? request.headers : record.requestHeaders),
+    requestBody: record.request ? request.body : record.requestBody,
+    status: Number(response.status ?? response.statusCode) || undefined,
+    responseHeaders: headerMap(record.response ? response.headers : record.responseHeaders),
+    responseBody: record.response ? response.body : record.responseBody,
+  };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function headerMap(headers) {
+  if (Array.isArray(headers)) return Object.fromEntries(headers.map(h => [String(h.name).toLowerCase(), h.value]));
+  return Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+/**
+ * { value, mediaType } for JSON bodies, { invalid } when JSON does not parse,
+ * {} when there is no (JSON) body.
+ */
+function parseBody(body, contentType = '') {
+  const mediaType = String(contentType).split(';')[0].trim().toLowerCase() || 'application/json';
+  if (body === undefined || body === null || body === '') return {};
+  if (typeof body === 'object') return { value: body, mediaType };
+  if (!/json/.test(mediaType)) return {};
+  try {
+    return { value: JSON.parse(body), mediaType };
+  } catch (error) {
+    return { invalid: `Invalid JSON: ${error.message}` };
+  }
+}
+
+function pickMedia(holder, mediaType) {
+  const content = holder?.content || {};
+  if (content[mediaType]) return { mediaType, media: content[mediaType] };
+  const json = Object.keys(content).find(m => /json/.test(m));
+  return json && /json/.test(mediaType) ? { mediaType: json, media: content[json] } : {};
+}
+
+function refPointer(ref) {
+  return ref.slice(2).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getAt(root, pointer) {
+  return pointer.reduce((node, key) => node?.[key], root);
+}
+
+function getPath(data, path) {
+  return path ? path.split('.').reduce((node, key) => node?.[key], data) : data;
+}
+
+function genericPath(path) {
+  return path.split('.').map(s => (/^\d+$/.test(s) ? '[]' : s)).join('.').replace(/\.\[\]/g, '[]');
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
@@ -0,0 +1,490 @@
+/**
+ * TypeScript Generator
+ *
+ * Generates TypeScript from a spec, for frontends that would otherwise copy
+ * types from Apidog by hand:
+ *
+ *   schemas.ts   one type per components.schemas entry
+ *   client.ts    a small fetch-based ApiClient (base URL, headers, errors)
+ *   <module>.ts  per folder or tag: Params / Body / Response types and one
+ *                function per operation, e.g. getUsersById(client, { id })
+ *   index.ts     re-exports, with each module as a namespace
+ *
+ * Output is deterministic (sorted, no timestamps), so regenerating after a
+ * change gives a clean diff. Every file starts with GENERATED_MARKER; files
+ * with the marker that are no longer generated are removed on write.
+ */
+
+import { readdir, readFile, writeFile, mkdir, unlink } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { ApidogClient } from './apidog-client.js';
+
+export const GENERATED_MARKER = '// Generated by apidog-sync-mcp. Do not edit by hand.';
+export const MODULE_GROUPINGS = ['folder', 'tag', 'none'];
+
+const RESERVED = new Set(['schemas', 'client', 'index']);
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+// Names client.ts exports; index.ts re-exports them next to the schema types
+const CLIENT_EXPORTS = ['ApiClient', 'ApiClientOptions', 'ApiError', 'RequestOptions'];
+// Words that cannot name a function or a namespace export someone has to import
+const RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+  'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+]);
+
+/**
+ * Generate the files. Returns { files: { 'schemas.ts': '...', ... }, operations, schemas }.
+ */
+export function generateTypeScript(spec, { groupBy = 'folder' } = {}) {
+  if (!MODULE_GROUPINGS.includes(groupBy)) {
+    throw new Error(`groupBy must be one of: ${MODULE_GROUPINGS.join(', ')}`);
+  }
+
+  const typeNames = componentTypeNames(spec);
+  const emitter = { spec, typeNames, takenTypeNames: new Set([...CLIENT_EXPORTS, ...typeNames.values()]) };
+  const files = {};
+
+  files['schemas.ts'] = renderSchemas(emitter);
+  files['client.ts'] = CLIENT_SOURCE;
+
+  const modules = new Map();
+  for (const ep of ApidogClient.parseEndpoints(spec)) {
+    const group = groupBy === 'folder' ? ep.folder : groupBy === 'tag' ? ep.tags[0] : null;
+    const file = moduleFileName(group || (groupBy === 'none' ? 'endpoints' : 'ungrouped'));
+    if (!modules.has(file)) modules.set(file, []);
+    modules.get(file).push(ep);
+  }
+
+  const moduleFiles = [...modules.keys()].sort();
+  let operationCount = 0;
+  for (const file of moduleFiles) {
+    const endpoints = modules.get(file).sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method));
+    files[`${file}.ts`] = renderModule(emitter, endpoints);
+    operationCount += endpoints.length;
+  }
+
+  files['index.ts'] = [
+    GENERATED_MARKER,
+    '',
+    "export * from './client.js';",
+    "export * from './schemas.js';",
+    ...moduleFiles.map(file => `export * as ${namespaceName(file)} from './${file}.js';`),
+    '',
+  ].join('\n');
+
+  return { files, operations: operationCount, schemas: typeNames.size };
+}
+
+/**
+ * Write generated files into a directory. Files from an earlier run that are no
+ * longer generated (recognized by GENERATED_MARKER) are deleted; other files
+ * are never touched. Returns { directory, written, unchanged, removed }.
+ */
+export async function writeGeneratedFiles(files, outputDir) {
+  const directory = resolve(outputDir);
+  await mkdir(directory, { recursive: true });
+  const result = { directory, written: [], unchanged: [], removed: [] };
+
+  for (const name of (await readdir(directory)).filter(n => n.endsWith('.ts')).sort()) {
+    if (files[name] !== undefined) continue;
+    const existing = await readFile(join(directory, name), 'utf8');
+    if (existing.startsWith(GENERATED_MARKER)) {
+      await unlink(join(directory, name));
+      result.removed.push(name);
+    }
+  }
+
+  for (const [name, text] of Object.entries(files)) {
+    const path = join(directory, name);
+    const existing = await readFile(path, 'utf8').catch(() => null);
+    if (existing === text) {
+      result.unchanged.push(name);
+      continue;
+    }
+    if (existing !== null && !existing.startsWith(GENERATED_MARKER)) {
+      throw new Error(`${path} exists and was not generated by apidog-sync-mcp; refusing to overwrite it`);
+    }
+    await writeFile(path, text);
+    result.written.push(name);
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+function componentTypeNames(spec) {
+  const names = new Map();
+  const used = new Set(CLIENT_EXPORTS);
+  for (const name of Object.keys(spec.components?.schemas || {}).sort()) {
+    let typeName = pascalCase(name) || 'Schema';
+    if (/^\d/.test(typeName)) typeName = `Schema${typeName}`;
+    let candidate = typeName;
+    for (let i = 2; used.has(candidate); i++) candidate = `${typeName}${i}`;
+    used.add(candidate);
+    names.set(name, candidate);
+  }
+  return names;
+}
+
+function renderSchemas(emitter) {
+  const lines = [GENERATED_MARKER, ''];
+  const schemas = emitter.spec.components?.schemas || {};
+  for (const [name, typeName] of emitter.typeNames) {
+    const schema = schemas[name];
+    lines.push(...docComment(schema?.description || schema?.title, ''));
+    const type = tsType(emitter, schema, '');
+    lines.push(isObjectLiteral(schema, type)
+      ? `export interface ${typeName} ${type}`
+      : `export type ${typeName} = ${type};`);
+    lines.push('');
+  }
+  if (emitter.typeNames.size === 0) lines.push('export {};', '');
+  return lines.join('\n');
+}
+
+function isObjectLiteral(schema, type) {
+  return type.startsWith('{') && !schema?.allOf && !schema?.oneOf && !schema?.anyOf && !isNullable(schema);
+}
+
+/**
+ * TypeScript type for a schema. indent is the indentation of the line the
+ * type starts on, for multi-line object literals.
+ */
+function tsType(emitter, schema, indent) {
+  if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) return 'unknown';
+
+  if (schema.$ref) {
+    const name = decodeURIComponent(schema.$ref.split('/').pop());
+    const typeName = schema.$ref.startsWith('#/components/schemas/') ? emitter.typeNames.get(name) : null;
+    if (typeName) emitter.refs?.add(typeName);
+    return typeName || 'unknown';
+  }
+
+  const nullable = isNullable(schema);
+  const withNull = type => (nullable && type !== 'unknown' && type !== 'null' ? `${wrapUnion(type)} | null` : type);
+
+  if ('const' in schema) return withNull(literal(schema.const));
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return withNull(unique(schema.enum.map(literal)).join(' | '));
+  }
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const parts = [...allOf, ...(hasOwnShape(rest) ? [rest] : [])].map(s => wrapUnion(tsType(emitter, s, indent)));
+    return withNull(unique(parts).join(' & '));
+  }
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives)) {
+    return withNull(unique(alternatives.map(s => tsType(emitter, s, indent))).join(' | '));
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || inferType(schema)];
+  const rendered = unique(types.map(type => {
+    switch (type) {
+      case 'string': return schema.format === 'binary' ? 'Blob' : 'string';
+      case 'integer':
+      case 'number': return 'number';
+      case 'boolean': return 'boolean';
+      case 'null': return 'null';
+      case 'array': return `${wrapUnion(tsType(emitter, schema.items, indent))}[]`;
+      case 'object': return objectType(emitter, schema, indent);
+      default: return 'unknown';
+    }
+  }));
+  return withNull(rendered.join(' | '));
+}
+
+function objectType(emitter, schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  const additional = schema.additionalProperties;
+  if (properties.length === 0) {
+    if (additional && typeof additional === 'object') return `Record<string, ${tsType(emitter, additional, indent)}>`;
+    return 'Record<string, unknown>';
+  }
+
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const lines = ['{'];
+  for (const [name, propSchema] of properties) {
+    lines.push(...docComment(propSchema?.description, inner));
+    const readonly = propSchema?.readOnly ? 'readonly ' : '';
+    lines.push(`${inner}${readonly}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${tsType(emitter, propSchema, inner)};`);
+  }
+  // Declared properties must fit the index signature, so extra keys are typed loosely
+  if (additional) lines.push(`${inner}[key: string]: unknown;`);
+  lines.push(`${indent}}`);
+  return lines.join('\n');
+}
+
+function inferType(schema) {
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+function isNullable(schema) {
+  return schema?.nullable === true;
+}
+
+function hasOwnShape(schema) {
+  return Boolean(schema.properties || schema.type || schema.items || schema.additionalProperties);
+}
+
+// ---------------------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------------------
+
+function renderModule(emitter, endpoints) {
+  const refs = new Set();
+  const moduleEmitter = { ...emitter, refs };
+  const usedNames = new Set();
+  const blocks = [];
+
+  for (const ep of endpoints) {
+    let functionName = operationName(ep);
+    for (let i = 2; usedNames.has(functionName); i++) functionName = `${operationName(ep)}${i}`;
+    usedNames.add(functionName);
+    blocks.push(renderOperation(moduleEmitter, ep, functionName));
+  }
+
+  const header = [GENERATED_MARKER, '', "import type { ApiClient } from './client.js';"];
+  if (refs.size > 0) header.push(`import type { ${[...refs].sort().join(', ')} } from './schemas.js';`);
+  return [...header, '', blocks.join('\n\n'), ''].join('\n');
+}
+
+function renderOperation(emitter, ep, functionName) {
+  const typeBase = pascalCase(functionName);
+  const operation = ep.operation;
+  const parameters = resolveParameters(emitter.spec, ep);
+  const lines = [];
+
+  // Params: path, query and header parameters in one object
+  const paramsType = parameters.length > 0 ? operationTypeName(emitter, typeBase, 'Params') : null;
+  if (paramsType) {
+    lines.push(`export interface ${paramsType} {`);
+    for (const param of parameters) {
+      lines.push(...docComment(param.description, '  '));
+      const optional = param.required || param.in === 'path' ? '' : '?';
+      lines.push(`  ${propertyKey(param.name)}${optional}: ${tsType(emitter, param.schema, '  ')};`);
+    }
+    lines.push('}', '');
+  }
+
+  // Body
+  const requestBody = resolveLocal(emitter.spec, operation.requestBody);
+  const bodyMedia = pickMediaType(requestBody?.content);
+  const bodyType = bodyMedia ? operationTypeName(emitter, typeBase, 'Body') : null;
+  if (bodyType) {
+    const type = bodyMedia.type === 'multipart/form-data' ? 'FormData' : tsType(emitter, bodyMedia.media.schema, '');
+    lines.push(`export type ${bodyType} = ${type};`, '');
+  }
+
+  // Response: every documented 2xx body
+  const successTypes = Object.keys(operation.responses || {})
+    .filter(code => /^2(\d\d|XX)$/i.test(code))
+    .sort()
+    .map(code => pickMediaType(resolveLocal(emitter.spec, operation.responses[code])?.content))
+    .map(media => (media?.media.schema ? tsType(emitter, media.media.schema, '') : 'void'));
+  const responseType = operationTypeName(emitter, typeBase, 'Response');
+  lines.push(`export type ${responseType} = ${unique(successTypes.length > 0 ? successTypes : ['void']).join(' | ')};`, '');
+
+  // Function
+  const signature = ['client: ApiClient'];
+  if (paramsType) signature.push(`params: ${paramsType}`);
+  if (bodyType) signature.push(`body${requestBody.required ? '' : '?'}: ${bodyType}`);
+
+  const path = ep.path.replace(/\{([^}]+)\}/g, (_, name) => `\${encodeURIComponent(String(${accessor('params', name)}))}`);
+  const pick = where => parameters
+    .filter(p => p.in === where)
+    .map(p => `${propertyKey(p.name)}: ${accessor('params', p.name)}`);
+  const options = [];
+  const query = pick('query');
+  const headers = pick('header');
+  if (query.length > 0) options.push(`query: { ${query.join(', ')} }`);
+  if (headers.length > 0) options.push(`headers: { ${headers.join(', ')} }`);
+  if (bodyType) options.push('body');
+
+  lines.push(...docComment([
+    `${ep.method} ${ep.path}`,
+    operation.summary,
+    operation.deprecated ? '@deprecated' : null,
+  ].filter(Boolean).join('\n'), ''));
+  lines.push(`export function ${functionName}(${signature.join(', ')}): Promise<${responseType}> {`);
+  lines.push(`  return client.request<${responseType}>('${ep.method}', \`${path}\`${options.length > 0 ? `, { ${options.join(', ')} }` : ''});`);
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Operation parameters override path-level ones; cookie parameters are left to the browser.
+// Path placeholders nobody declared still become (string) parameters so the URL can be built.
+function resolveParameters(spec, ep) {
+  const pathItem = spec.paths?.[ep.path] || {};
+  const merged = new Map();
+  for (const param of [...(pathItem.parameters || []), ...(ep.operation.parameters || [])]) {
+    const resolved = resolveLocal(spec, param);
+    if (resolved?.name && ['path', 'query', 'header'].includes(resolved.in)) merged.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+  for (const [, name] of ep.path.matchAll(/\{([^}]+)\}/g)) {
+    if (!merged.has(`path:${name}`)) merged.set(`path:${name}`, { name, in: 'path', required: true, schema: { type: 'string' } });
+  }
+  const order = { path: 0, query: 1, header: 2 };
+  return [...merged.values()].sort((a, b) => order[a.in] - order[b.in]);
+}
+
+function resolveLocal(spec, node) {
+  if (!node?.$ref) return node;
+  return node.$ref.slice(2).split('/').reduce((current, key) => current?.[key], spec);
+}
+
+function pickMediaType(content) {
+  const types = Object.keys(content || {});
+  const type = types.find(t => /json/.test(t)) || types.find(t => t === 'multipart/form-data') || types[0];
+  return type ? { type, media: content[type] } : null;
+}
+
+// <Op>Params / Body / Response, unless a schema or client.ts already uses that name
+function operationTypeName(emitter, typeBase, suffix) {
+  let name = `${typeBase}${suffix}`;
+  for (let i = 2; emitter.takenTypeNames.has(name); i++) name = `${typeBase}${suffix}${i}`;
+  return name;
+}
+
+function operationName(ep) {
+  const operationId = ep.operation.operationId;
+  const fromId = operationId ? camelCase(operationId) : '';
+  if (IDENTIFIER.test(fromId) && !RESERVED_WORDS.has(fromId)) return fromId;
+
+  const segments = ep.path.split('/').filter(Boolean);
+  if (segments[0]?.toLowerCase() === 'api') segments.shift();
+  if (/^v\d+$/i.test(segments[0] || '')) segments.shift();
+  const words = segments.filter(s => !s.startsWith('{'));
+  const params = segments.filter(s => s.startsWith('{')).map(s => s.slice(1, -1));
+  // "DELETE /" would be named delete
+  if (words.length === 0 && params.length === 0) words.push('root');
+  const name = camelCase([ep.method.toLowerCase(), ...words, ...(params.length > 0 ? ['by', params.join(' and ')] : [])].join(' '));
+  return /^\d/.test(name) ? `op${pascalCase(name)}` : name;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function moduleFileName(group) {
+  const name = group.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'ungrouped';
+  const safe = /^\d/.test(name) ? `m-${name}` : name;
+  return RESERVED.has(safe) ? `${safe}-api` : safe;
+}
+
+function namespaceName(file) {
+  const name = camelCase(file);
+  return RESERVED_WORDS.has(name) ? `${name}Api` : name;
+}
+
+function words(text) {
+  return String(text)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function pascalCase(text) {
+  return words(text).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+}
+
+function camelCase(text) {
+  const pascal = pascalCase(text);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function propertyKey(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+function accessor(object, name) {
+  return IDENTIFIER.test(name) ? `${object}.${name}` : `${object}[${JSON.stringify(name)}]`;
+}
+
+function literal(value) {
+  return value === null ? 'null' : JSON.stringify(value);
+}
+
+function wrapUnion(type) {
+  return /[|&]/.test(type) && !type.startsWith('{') ? `(${type})` : type;
+}
+
+function unique(list) {
+  return [...new Set(list)];
+}
+
+function docComment(text, indent) {
+  if (!text?.trim()) return [];
+  const lines = text.trim().replace(/\*\//g, '*\\/').split('\n');
+  if (lines.length === 1) return [`${indent}/** ${lines[0]} */`];
+  return [`${indent}/**`, ...lines.map(l => `${indent} *${l ? ` ${l}` : ''}`), `${indent} */`];
+}
+
+const CLIENT_SOURCE = `${GENERATED_MARKER}
+
+export interface ApiClientOptions {
+  /** Base URL the documented paths are appended to, e.g. "https://api.example.com" */
+  baseUrl: string;
+  /** Headers sent with every request (e.g. Authorization); may be async to refresh tokens */
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** fetch implementation; defaults to the global fetch */
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  query?: Record<string, unknown>;
+  headers?: Record<string, unknown>;
+  body?: unknown;
+}
+
+/** Thrown for non-2xx responses; body is the parsed response body. */
+export class ApiError extends Error {
+  constructor(readonly status: number, readonly body: unknown, message: string) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+export class ApiClient {
+  constructor(private readonly options: ApiClientOptions) {}
+
+  async request<T>(method: string, path: string, { query, headers, body }: RequestOptions = {}): Promise<T> {
+    const url = new URL(this.options.baseUrl.replace(/\\/$/, '') + path);
+    for (const [key, value] of Object.entries(query ?? {})) {
+      if (value === undefined || value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) url.searchParams.append(key, String(item));
+    }
+
+    const defaults = typeof this.options.headers === 'function' ? await this.options.headers() : this.options.headers;
+    const requestHeaders: Record<string, string> = { Accept: 'application/json', ...defaults };
+    for (const [key, value] of Object.entries(headers ?? {})) {
+      if (value !== undefined && value !== null) requestHeaders[key] = String(value);
+    }
+
+    let payload: BodyInit | undefined;
+    if (body instanceof FormData || body instanceof Blob) {
+      payload = body;
+    } else if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const response = await (this.options.fetch ?? fetch)(url, { method, headers: requestHeaders, body: payload });
+    const text = await response.text();
+    const isJson = (response.headers.get('Content-Type') ?? '').includes('json');
+    const data = text && isJson ? JSON.parse(text) : text || undefined;
+
+    if (!response.ok) {
+      throw new ApiError(response.status, data, \`\${method} \${path} failed with status \${response.status}\`);
+    }
+    return data as T;
+  }
+}
+`;